@@ -0,0 +1,131 @@
+// @ts-check
+/**
+ * Helpers for cancelling operations with AbortSignal.
+ *
+ * Cancelled operations reject with errors
+ * having code 'aborted' (see abortError).
+ */
+const EventEmitter = require('events').EventEmitter;
+const { codedError } = require('./errors');
+
+/**
+ * Returns a new error indicating that
+ * the operation was cancelled.
+ *
+ * @returns {Error}
+ */
+function abortError() {
+    return codedError('Operation aborted', 'aborted');
+}
+
+/**
+ * Returns true if the error was caused by cancelling the operation.
+ *
+ * @param {any} err
+ * @returns {boolean}
+ */
+function isAbortError(err) {
+    return !!err && err.code === 'aborted';
+}
+
+/**
+ * Throws abort error if the signal is aborted.
+ *
+ * @param {AbortSignal} [signal]
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw abortError();
+    }
+}
+
+/**
+ * Calls the given function when the signal is aborted (immediately
+ * if it's already aborted) and returns a function that removes
+ * the listener, which must be called when the operation finishes.
+ *
+ * @param {AbortSignal|undefined} signal
+ * @param {function(): void} callback
+ * @returns {function(): void}
+ */
+function onAbort(signal, callback) {
+    if (!signal) {
+        return () => { /* nothing to remove */ };
+    }
+    if (signal.aborted) {
+        callback();
+        return () => { /* nothing to remove */ };
+    }
+    signal.addEventListener('abort', callback);
+    return () => signal.removeEventListener('abort', callback);
+}
+
+/**
+ * Returns a new AbortController.
+ *
+ * AbortController is global only since Node 15, so on older
+ * versions (including Electron 3 and earlier) this returns
+ * a minimal implementation with the same interface used
+ * by updater: signal's aborted property and 'abort' event
+ * listeners, and controller's abort method.
+ *
+ * @returns {AbortController}
+ */
+function createAbortController() {
+    if (typeof AbortController === 'function') {
+        return new AbortController();
+    }
+    const emitter = new EventEmitter();
+    const signal = {
+        aborted: false,
+        addEventListener(type, listener) {
+            emitter.on(type, listener);
+        },
+        removeEventListener(type, listener) {
+            emitter.removeListener(type, listener);
+        }
+    };
+    /** @type {any} */
+    const controller = {
+        signal,
+        abort() {
+            if (signal.aborted) return;
+            signal.aborted = true;
+            emitter.emit('abort');
+        }
+    };
+    return controller;
+}
+
+/**
+ * Returns a promise resolving after the given number
+ * of milliseconds, or rejecting with abort error
+ * as soon as the signal is aborted.
+ *
+ * @param {number} ms delay in milliseconds
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+    return new Promise((fulfill, reject) => {
+        let timer = null;
+        const removeListener = onAbort(signal, () => {
+            clearTimeout(timer);
+            reject(abortError());
+        });
+        if (signal && signal.aborted) return;
+        timer = setTimeout(() => {
+            removeListener();
+            fulfill();
+        }, ms);
+    });
+}
+
+module.exports = {
+    abortError,
+    isAbortError,
+    throwIfAborted,
+    onAbort,
+    delay,
+    createAbortController
+};
@@ -0,0 +1,720 @@
+#!/usr/bin/env node
+// @ts-check
+/**
+ * Command-line tool for release keys and manifests.
+ *
+ * Usage: peerio-updater <command> [options]
+ *
+ * Keys are given either as base64 strings or as paths to signify
+ * key files (or files containing just the key). minisign public
+ * keys can be used for verification. Secret keys can be encrypted with a passphrase,
+ * which is read from the environment variable named by
+ * --passphrase-env option. With --json, commands print the result
+ * (or the error) as JSON to stdout.
+ *
+ * Exit codes:
+ *
+ *   0 - success
+ *   1 - verification failed (bad signature, expired manifest,
+ *       file doesn't match manifest)
+ *   2 - any other error (bad arguments, unreadable files)
+ */
+const fs = require('fs');
+const path = require('path');
+const signing = require('./signing');
+const Manifest = require('./manifest');
+const { validateKey } = require('./keys');
+const { calculateHash } = require('./hash');
+const { calculateSize } = require('./size');
+const { codedError } = require('./errors');
+
+const PROGRAM = 'peerio-updater';
+
+const EXIT_OK = 0;
+const EXIT_VERIFICATION_FAILED = 1;
+const EXIT_ERROR = 2;
+
+// Options accepted by all commands.
+const COMMON_OPTIONS = {
+    json: 'flag',
+    help: 'flag'
+};
+
+// Options for commands that load manifest.
+const LOAD_OPTIONS = {
+    'public-key': 'list',
+    threshold: 'value'
+};
+
+/**
+ * Generates key pair, writing keys to signify files if requested.
+ */
+async function keygen(options) {
+    const comment = options.comment || 'signify';
+    const keys = signing.generateKeyPair(readPassphrase(options));
+    const result = { publicKey: keys.publicKey };
+    if (options['public-key']) {
+        const text = signing.formatPublicKeyFile(keys.publicKey, `${comment} public key`);
+        writeNewFile(options['public-key'], text, 0o644);
+        result.publicKeyFile = options['public-key'];
+    }
+    if (options['secret-key']) {
+        const text = signing.formatSecretKeyFile(keys.secretKey, `${comment} secret key`);
+        writeNewFile(options['secret-key'], text, 0o600);
+        result.secretKeyFile = options['secret-key'];
+    } else {
+        result.secretKey = keys.secretKey;
+    }
+    return result;
+}
+
+/**
+ * Creates and signs manifest for the given platform files and patches.
+ */
+async function sign(options) {
+    const secretKeys = readSecretKeys(options);
+    const platforms = required(options, 'platform').map(arg => {
+        const split = arg.indexOf('=');
+        if (split <= 0 || split === arg.length - 1) {
+            throw usageError(`Invalid platform file ${arg}, expected NAME=FILE`);
+        }
+        return { platform: arg.substring(0, split), file: arg.substring(split + 1) };
+    });
+    const patches = (options.patch || []).map(arg => {
+        const match = arg.match(/^([^:=]+):([^=]+)=(.+)$/);
+        if (!match) {
+            throw usageError(`Invalid patch file ${arg}, expected NAME:VERSION=FILE`);
+        }
+        return { platform: match[1], fromVersion: match[2], file: match[3] };
+    });
+    // Relative file URLs only work if the manifest is published
+    // next to the files, which is not the case for releases
+    // on GitHub, GitLab or S3, so they must be requested explicitly.
+    if (options['relative-urls'] && options['base-url']) {
+        throw usageError('Options --base-url and --relative-urls can\'t be used together');
+    }
+    if (!options['relative-urls'] && !options['base-url']) {
+        throw usageError('Option --base-url is required unless --relative-urls is given');
+    }
+    const format = options.format ? Number(options.format) : Manifest.FORMAT_V1;
+    if (format !== Manifest.FORMAT_V1 && format !== Manifest.FORMAT_V2) {
+        throw usageError(`Invalid format: ${options.format}`);
+    }
+
+    const m = new Manifest();
+    try {
+        m.version = required(options, 'version');
+        m.date = options.date ? parseDate(options.date) : new Date();
+        if (options.expires) m.expires = parseDate(options.expires);
+        if (options.channel) m.channel = options.channel;
+        if (options.changelog) m.changelog = options.changelog;
+        if (options['release-notes']) m.releaseNotes = options['release-notes'];
+        if (options.rollout) m.rollout = Number(options.rollout);
+        if (options['optional-since']) {
+            m.optionalSince = options['optional-since'];
+        } else {
+            m.makeMandatory();
+        }
+        if (options['add-key']) {
+            m.addedKeys = options['add-key'].map(item => {
+                const [key, notBefore, notAfter] = item.split(',');
+                const entry = { key, notBefore: notBefore || undefined, notAfter: notAfter || undefined };
+                validateKey(entry);
+                return entry;
+            });
+        }
+        if (options['revoke-key']) {
+            options['revoke-key'].forEach(key => validateKey(key));
+            m.revokedKeys = options['revoke-key'];
+        }
+    } catch (err) {
+        throw usageError(err.message);
+    }
+
+    // Files are referenced by name relative to the base URL,
+    // or to the manifest location with --relative-urls.
+    for (const { platform, file } of platforms) {
+        const name = encodeURIComponent(path.basename(file));
+        const size = await calculateSize(file);
+        const sha512 = await calculateHash(file);
+        m.setFile(platform, joinURL(options['base-url'], name));
+        m.setSize(platform, size);
+        m.setSha512(platform, sha512);
+        if (options.mirror) {
+            m.setMirrors(platform, options.mirror.map(base => joinURL(base, name)));
+        }
+    }
+    for (const { platform, fromVersion, file } of patches) {
+        const name = encodeURIComponent(path.basename(file));
+        const size = await calculateSize(file);
+        const sha512 = await calculateHash(file);
+        try {
+            m.setPatch(platform, fromVersion, { file: joinURL(options['base-url'], name), size, sha512 });
+        } catch (err) {
+            throw usageError(err.message);
+        }
+    }
+
+    const text = m.serialize(secretKeys, format, readPassphrase(options), options['trusted-comment']);
+    if (options.output) {
+        fs.writeFileSync(options.output, text);
+    }
+    return { version: m.version, format, output: options.output || null, manifest: text };
+}
+
+/**
+ * Creates detached signature of the file in signify format.
+ */
+async function signFile(options, [file]) {
+    const [secretKey, ...rest] = readSecretKeys(options);
+    if (rest.length > 0) {
+        throw usageError('Only one secret key can sign a file');
+    }
+    // Like signify, refer to the public key file if the secret key is in a file.
+    const keyFile = options['secret-key'][0];
+    const comment = /\.sec$/.test(keyFile) && fs.existsSync(keyFile) ?
+        `verify with ${keyFile.replace(/\.sec$/, '.pub')}` : undefined;
+    // Signatures with trusted comments are in minisign format.
+    const trustedComment = options['trusted-comment'];
+    const signature = options.signature || (trustedComment == null ? `${file}.sig` : `${file}.minisig`);
+    const text = await signing.signFile(secretKey, file, readPassphrase(options), comment, trustedComment);
+    fs.writeFileSync(signature, text);
+    return { file, signature };
+}
+
+/**
+ * Verifies detached signature of the file.
+ */
+async function verifyFile(options, [file]) {
+    const publicKeys = readPublicKeys(options);
+    const signature = options.signature ||
+        (!fs.existsSync(`${file}.sig`) && fs.existsSync(`${file}.minisig`) ? `${file}.minisig` : `${file}.sig`);
+    const text = fs.readFileSync(signature, 'utf8');
+    let verified;
+    try {
+        verified = await signing.verifyFile(publicKeys, text, file);
+    } catch (err) {
+        if (err.code !== 'ENOENT') err.code = 'verification-failed';
+        throw err;
+    }
+    return { valid: true, file, signature, trustedComment: verified.trustedComment };
+}
+
+/**
+ * Verifies manifest signatures and expiration.
+ */
+async function verify(options, [filename]) {
+    const m = loadManifest(options, filename);
+    return {
+        valid: true,
+        version: m.version,
+        channel: m.channel,
+        format: m.format,
+        trustedComments: m.trustedComments
+    };
+}
+
+/**
+ * Verifies and describes manifest.
+ */
+async function show(options, [filename]) {
+    return describeManifest(loadManifest(options, filename));
+}
+
+/**
+ * Verifies that the file matches manifest for the platform.
+ */
+async function check(options, [filename, file]) {
+    const m = loadManifest(options, filename);
+    const platform = options.platform || m.platform;
+    const expectedSize = m.getSize(platform);
+    const expectedHash = m.getSha512(platform);
+    if (!expectedHash || isNaN(expectedSize)) {
+        throw verificationError(`Manifest ${m.version} has no file for ${platform}`);
+    }
+    const size = await calculateSize(file);
+    if (size !== expectedSize) {
+        throw verificationError(`Incorrect file size: expected ${expectedSize}, got ${size}`);
+    }
+    const sha512 = await calculateHash(file);
+    if (sha512 !== expectedHash) {
+        throw verificationError(`Incorrect checksum: expected ${expectedHash}, got ${sha512}`);
+    }
+    return { valid: true, version: m.version, platform, file, size, sha512 };
+}
+
+const COMMANDS = {
+    keygen: {
+        usage: 'keygen [--public-key FILE] [--secret-key FILE] [--passphrase-env VAR] [--comment TEXT]',
+        description: 'Generate signing key pair, printing keys or writing them to new signify files',
+        options: { 'public-key': 'value', 'secret-key': 'value', 'passphrase-env': 'value', comment: 'value' },
+        args: [],
+        run: keygen,
+        format: result => [
+            `Public key: ${result.publicKey}`,
+            result.publicKeyFile ? `Public key written to ${result.publicKeyFile}` : null,
+            result.secretKeyFile ? `Secret key written to ${result.secretKeyFile}` : `Secret key: ${result.secretKey}`
+        ].filter(line => line).join('\n')
+    },
+    sign: {
+        usage: 'sign --secret-key KEY... [--passphrase-env VAR] --version VERSION --platform NAME=FILE...\n' +
+            '      [--patch NAME:VERSION=FILE]... --base-url URL|--relative-urls [--mirror URL]...\n' +
+            '      [--channel NAME] [--date DATE] [--expires DATE]\n' +
+            '      [--changelog URL]' +
+            ' [--release-notes TEXT] [--optional-since VERSION] [--rollout PERCENT]\n' +
+            '      [--add-key KEY[,NOTBEFORE[,NOTAFTER]]]... [--revoke-key KEY]... [--format 1|2]\n' +
+            '      [--trusted-comment TEXT] [--output FILE]',
+        description: 'Create manifest for platform files and sign it with one or more keys\n' +
+            '      (with minisign signatures if trusted comment is given); patches are\n' +
+            '      BSDIFF40 files for updating the platform from the given version',
+        options: {
+            'secret-key': 'list',
+            'passphrase-env': 'value',
+            'trusted-comment': 'value',
+            version: 'value',
+            platform: 'list',
+            patch: 'list',
+            'base-url': 'value',
+            'relative-urls': 'flag',
+            mirror: 'list',
+            channel: 'value',
+            date: 'value',
+            expires: 'value',
+            changelog: 'value',
+            'release-notes': 'value',
+            'optional-since': 'value',
+            rollout: 'value',
+            'add-key': 'list',
+            'revoke-key': 'list',
+            format: 'value',
+            output: 'value'
+        },
+        args: [],
+        run: sign,
+        format: result => result.output ?
+            `Manifest ${result.version} written to ${result.output}` :
+            result.manifest.replace(/\n$/, '')
+    },
+    'sign-file': {
+        usage: 'sign-file --secret-key KEY [--passphrase-env VAR] [--trusted-comment TEXT]\n' +
+            '      [--signature SIGFILE] FILE',
+        description: 'Create detached signify signature of the file (FILE.sig by default),\n' +
+            '      or minisign signature if trusted comment is given (FILE.minisig by default)',
+        options: {
+            'secret-key': 'list',
+            'passphrase-env': 'value',
+            'trusted-comment': 'value',
+            signature: 'value'
+        },
+        args: ['FILE'],
+        run: signFile,
+        format: result => `Signature written to ${result.signature}`
+    },
+    'verify-file': {
+        usage: 'verify-file --public-key KEY... [--signature SIGFILE] FILE',
+        description: 'Verify detached signify or minisign signature of the file (FILE.sig or FILE.minisig)',
+        options: { 'public-key': 'list', signature: 'value' },
+        args: ['FILE'],
+        run: verifyFile,
+        format: result => `Signature ${result.signature} of ${result.file} is valid` +
+            (result.trustedComment != null ? `\nTrusted comment: ${result.trustedComment}` : '')
+    },
+    verify: {
+        usage: 'verify --public-key KEY... [--threshold N] MANIFEST',
+        description: 'Verify manifest signatures and expiration date',
+        options: LOAD_OPTIONS,
+        args: ['MANIFEST'],
+        run: verify,
+        format: result => [`Manifest ${result.version} is valid`]
+            .concat(result.trustedComments.map(comment => `Trusted comment: ${comment}`))
+            .join('\n')
+    },
+    show: {
+        usage: 'show --public-key KEY... [--threshold N] MANIFEST',
+        description: 'Verify manifest and print its contents',
+        options: LOAD_OPTIONS,
+        args: ['MANIFEST'],
+        run: show,
+        format: formatDescription
+    },
+    check: {
+        usage: 'check --public-key KEY... [--threshold N] [--platform NAME] MANIFEST FILE',
+        description: 'Verify manifest and check that the file matches it for the platform (current by default)',
+        options: Object.assign({ platform: 'value' }, LOAD_OPTIONS),
+        args: ['MANIFEST', 'FILE'],
+        run: check,
+        format: result => `File ${result.file} matches manifest ${result.version} for ${result.platform}`
+    }
+};
+
+/**
+ * Runs command with the given arguments (without node and script path)
+ * and returns a promise resolving to the exit code.
+ *
+ * @param {Array<string>} args
+ * @param {{log: function(string): void, error: function(string): void}} [output]
+ * @returns {Promise<number>}
+ */
+async function run(args, output = console) {
+    const name = args[0];
+    const json = args.indexOf('--json') > 0;
+    try {
+        if (!name || name === 'help' || name === '--help') {
+            output.log(usage());
+            return name ? EXIT_OK : EXIT_ERROR;
+        }
+        const command = COMMANDS[name];
+        if (!command) {
+            throw usageError(`Unknown command: ${name}`);
+        }
+        const { options, positional } = parseArgs(args.slice(1),
+            Object.assign({}, COMMON_OPTIONS, command.options));
+        if (options.help) {
+            output.log(`Usage: ${PROGRAM} ${command.usage}\n\n${command.description}.`);
+            return EXIT_OK;
+        }
+        if (positional.length !== command.args.length) {
+            throw usageError(`Usage: ${PROGRAM} ${command.usage}`);
+        }
+        const result = await command.run(options, positional);
+        output.log(json ? JSON.stringify(result, null, 2) : command.format(result));
+        return EXIT_OK;
+    } catch (err) {
+        if (json) {
+            output.log(JSON.stringify({ error: err.message, code: err.code || null }, null, 2));
+        } else {
+            output.error(`${PROGRAM}: ${err.message}`);
+            if (err.code === 'usage') {
+                output.error(`Run '${PROGRAM} help' for usage.`);
+            }
+        }
+        if (err.code === 'verification-failed' || err.code === 'manifest-expired') {
+            return EXIT_VERIFICATION_FAILED;
+        }
+        return EXIT_ERROR;
+    }
+}
+
+/**
+ * Returns usage text for all commands.
+ *
+ * @returns {string}
+ */
+function usage() {
+    const commands = Object.keys(COMMANDS).map(name =>
+        `  ${PROGRAM} ${COMMANDS[name].usage}\n      ${COMMANDS[name].description}.`);
+    return [
+        `Usage: ${PROGRAM} <command> [options] [--json]`,
+        '',
+        ...commands,
+        '',
+        'Keys are base64 strings or paths to signify key files',
+        '(minisign public key files can be used for verification).',
+        'Secret keys are encrypted with the passphrase from the environment',
+        'variable given by --passphrase-env.',
+        'With --json, the result or error is printed as JSON.',
+        '',
+        'Exit codes: 0 - success, 1 - verification failed, 2 - other error.'
+    ].join('\n');
+}
+
+/**
+ * Parses command-line arguments according to option types:
+ * 'flag' (no value), 'value' (single value) or 'list' (can be
+ * given multiple times). Values follow option names either as
+ * the next argument or after '='.
+ *
+ * Throws usage error on unknown or malformed options.
+ *
+ * @param {Array<string>} args
+ * @param {Object<string, string>} types option types by name
+ * @returns {{options: Object<string, any>, positional: Array<string>}}
+ */
+function parseArgs(args, types) {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--') {
+            positional.push(...args.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const eq = arg.indexOf('=');
+        const name = arg.substring(2, eq < 0 ? arg.length : eq);
+        const type = types[name];
+        if (!type) {
+            throw usageError(`Unknown option --${name}`);
+        }
+        if (type === 'flag') {
+            if (eq >= 0) {
+                throw usageError(`Option --${name} doesn't take a value`);
+            }
+            options[name] = true;
+            continue;
+        }
+        let value;
+        if (eq >= 0) {
+            value = arg.substring(eq + 1);
+        } else if (i + 1 < args.length) {
+            value = args[++i];
+        } else {
+            throw usageError(`Option --${name} requires a value`);
+        }
+        if (type === 'list') {
+            options[name] = (options[name] || []).concat(value);
+        } else if (name in options) {
+            throw usageError(`Option --${name} is given more than once`);
+        } else {
+            options[name] = value;
+        }
+    }
+    return { options, positional };
+}
+
+/**
+ * Returns value of the required option or throws usage error.
+ *
+ * @param {Object<string, any>} options
+ * @param {string} name
+ * @returns {any}
+ */
+function required(options, name) {
+    if (!options[name]) {
+        throw usageError(`Option --${name} is required`);
+    }
+    return options[name];
+}
+
+/**
+ * Returns key given as a base64 string or as a path to file
+ * containing it: either signify key file, which is parsed
+ * with the given function, or just the key.
+ *
+ * @param {string} value
+ * @param {function(string): string} parseFile
+ * @returns {string}
+ */
+function readKey(value, parseFile) {
+    if (!fs.existsSync(value)) {
+        return value.trim();
+    }
+    const text = fs.readFileSync(value, 'utf8');
+    if (!text.startsWith('untrusted comment:')) {
+        return text.trim();
+    }
+    try {
+        return parseFile(text);
+    } catch (err) {
+        throw usageError(`Invalid key file ${value}: ${err.message}`);
+    }
+}
+
+/**
+ * Returns secret keys from options.
+ *
+ * @param {Object<string, any>} options
+ * @returns {Array<string>}
+ */
+function readSecretKeys(options) {
+    return required(options, 'secret-key').map(key => readKey(key, signing.parseSecretKeyFile));
+}
+
+/**
+ * Returns validated public keys from options.
+ *
+ * @param {Object<string, any>} options
+ * @returns {Array<string>}
+ */
+function readPublicKeys(options) {
+    return required(options, 'public-key').map(value => {
+        const key = readKey(value, signing.parsePublicKeyFile);
+        try {
+            validateKey(key);
+        } catch (err) {
+            throw usageError(err.message);
+        }
+        return key;
+    });
+}
+
+/**
+ * Returns passphrase from the environment variable given
+ * by --passphrase-env option or undefined if there's no option.
+ *
+ * @param {Object<string, any>} options
+ * @returns {string|undefined}
+ */
+function readPassphrase(options) {
+    const name = options['passphrase-env'];
+    if (!name) {
+        return undefined;
+    }
+    if (!process.env[name]) {
+        throw usageError(`Environment variable ${name} is not set`);
+    }
+    return process.env[name];
+}
+
+/**
+ * Loads manifest from file and verifies it with public keys
+ * from options. Throws verification error if manifest is invalid.
+ *
+ * @param {Object<string, any>} options
+ * @param {string} filename
+ * @returns {Manifest}
+ */
+function loadManifest(options, filename) {
+    const publicKeys = readPublicKeys(options);
+    const threshold = options.threshold ? Number(options.threshold) : 1;
+    if (!(Number.isInteger(threshold) && threshold > 0)) {
+        throw usageError(`Invalid threshold: ${options.threshold}`);
+    }
+    const text = fs.readFileSync(filename, 'utf8');
+    try {
+        return Manifest.loadFromString(publicKeys, text, { threshold });
+    } catch (err) {
+        if (!err.code) err.code = 'verification-failed';
+        throw err;
+    }
+}
+
+/**
+ * Returns manifest contents as a plain object.
+ *
+ * @param {Manifest} m
+ * @returns {Object}
+ */
+function describeManifest(m) {
+    const platforms = {};
+    Object.keys(m.data).forEach(key => {
+        const match = key.match(/^(.+?)(?:-patch-(.+))?-sha512$/);
+        if (!match) return;
+        const platform = match[1];
+        if (!platforms[platform]) {
+            platforms[platform] = {
+                file: m.getFile(platform) || null,
+                size: m.getSize(platform),
+                sha512: m.getSha512(platform) || null,
+                mirrors: m.getMirrors(platform),
+                patches: {}
+            };
+        }
+        if (match[2]) {
+            platforms[platform].patches[match[2]] = m.getPatch(platform, match[2]);
+        }
+    });
+    return {
+        version: m.version,
+        format: m.format,
+        channel: m.channel,
+        urgency: m.urgency,
+        date: m.data.date || null,
+        expires: m.data.expires || null,
+        changelog: m.changelog || null,
+        releaseNotes: m.releaseNotes,
+        rollout: m.rollout,
+        targetPlatforms: m.targetPlatforms,
+        targetMinVersion: m.targetMinVersion,
+        targetInstallIds: m.targetInstallIds,
+        addedKeys: m.addedKeys,
+        revokedKeys: m.revokedKeys,
+        trustedComments: m.trustedComments,
+        platforms
+    };
+}
+
+/**
+ * Formats manifest description for humans.
+ *
+ * @param {Object} d result of describeManifest
+ * @returns {string}
+ */
+function formatDescription(d) {
+    const lines = [
+        `Version:    ${d.version}`,
+        `Channel:    ${d.channel || Manifest.STABLE_CHANNEL}`,
+        `Urgency:    ${d.urgency}`,
+        `Date:       ${d.date || '-'}`,
+        `Expires:    ${d.expires || 'never'}`,
+        `Changelog:  ${d.changelog || '-'}`,
+        `Rollout:    ${d.rollout}%`,
+        `Format:     ${d.format}`
+    ];
+    if (d.targetPlatforms.length > 0) lines.push(`Targets:    ${d.targetPlatforms.join(', ')}`);
+    if (d.targetMinVersion) lines.push(`Min version: ${d.targetMinVersion}`);
+    if (d.targetInstallIds.length > 0) lines.push(`Install IDs: ${d.targetInstallIds.join(', ')}`);
+    d.addedKeys.forEach(entry => lines.push(`Adds key:   ${entry.key}`));
+    d.revokedKeys.forEach(key => lines.push(`Revokes key: ${key}`));
+    d.trustedComments.forEach(comment => lines.push(`Trusted comment: ${comment}`));
+    if (d.releaseNotes) lines.push('', d.releaseNotes);
+    Object.keys(d.platforms).sort().forEach(name => {
+        const p = d.platforms[name];
+        lines.push('', `${name}:`, `  File:     ${p.file}`, `  Size:     ${p.size}`, `  SHA-512:  ${p.sha512}`);
+        p.mirrors.forEach(mirror => lines.push(`  Mirror:   ${mirror}`));
+        Object.keys(p.patches).forEach(version => {
+            const patch = p.patches[version];
+            if (patch) lines.push(`  Patch from ${version}: ${patch.file} (${patch.size} bytes)`);
+        });
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Parses date or throws usage error.
+ *
+ * @param {string} value
+ * @returns {Date}
+ */
+function parseDate(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw usageError(`Invalid date: ${value}`);
+    }
+    return date;
+}
+
+/**
+ * Returns URL of the file with the given name
+ * in the base URL, or just the name if there's no base.
+ *
+ * @param {string|undefined} base
+ * @param {string} name
+ * @returns {string}
+ */
+function joinURL(base, name) {
+    return base ? base.replace(/\/*$/, '/') + name : name;
+}
+
+/**
+ * Writes a file, failing if it already exists.
+ *
+ * @param {string} filename
+ * @param {string} data
+ * @param {number} mode
+ */
+function writeNewFile(filename, data, mode) {
+    fs.writeFileSync(filename, data, { flag: 'wx', mode });
+}
+
+function usageError(message) {
+    return codedError(message, 'usage');
+}
+
+function verificationError(message) {
+    return codedError(message, 'verification-failed');
+}
+
+module.exports = {
+    run,
+    parseArgs
+};
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
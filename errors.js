@@ -0,0 +1,17 @@
+// @ts-check
+
+/**
+ * Returns a new error with the given message and code,
+ * which callers can check instead of matching messages.
+ *
+ * @param {string} message
+ * @param {string} code
+ * @returns {Error & { code: string }}
+ */
+function codedError(message, code) {
+    return Object.assign(new Error(message), { code });
+}
+
+module.exports = {
+    codedError
+};
@@ -1,7 +1,14 @@
 // @ts-check
-const https = require('https');
 const url = require('url');
 const fs = require('fs');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { calculateSizeOrZero } = require('./size');
+const { hashFile } = require('./hash');
+const { createTransport } = require('./transport');
+const { abortError, isAbortError, onAbort, delay } = require('./abort');
+const { createThrottleStream } = require('./throttle');
+const { codedError } = require('./errors');
 
 /** Maximum number of retries when fetching  */
 const MAX_RETRIES = 3;
@@ -15,50 +22,112 @@ const REQUEST_TIMEOUT = 60000; // 1 minute
 /** Maximum number of UTF-16 chars (not bytes!) allows in text or JSON response */
 const MAX_TEXT_LENGTH = 3 * 1024 * 1024;
 
+/** Transport used when none is given in options */
+const defaultTransport = createTransport();
+
 /**
- * Returns a promise that relves
+ * Returns a promise that resolves after the delay for the given
+ * try number, or rejects if the signal is aborted while waiting.
+ *
  * @param {number} tryNum current try number
+ * @param {AbortSignal} [signal]
  */
-function waitBeforeRetry(tryNum) {
-    return new Promise(fulfill => {
-        setTimeout(() => fulfill(), Math.pow(2, tryNum) * 100);
-    });
+function waitBeforeRetry(tryNum, signal) {
+    return delay(Math.pow(2, tryNum) * 100, signal);
 }
 
+/**
+ * Options common for all fetch functions.
+ *
+ * Operations cancelled with the signal reject with
+ * errors having code 'aborted' (see abort.js).
+ *
+ * @typedef {Object} FetchOptions
+ * @property {import('./transport').Transport} [transport] transport to make requests with
+ * @property {AbortSignal} [signal] signal to cancel the operation, including retries
+ */
+
+/**
+ * Options for get().
+ *
+ * @typedef {Object} GetOptionsOnly
+ * @property {string?} [contentType] expected content-type or undefined/null to not check it
+ * @property {Object<string, string>} [headers] additional request headers
+ *
+ * @typedef {FetchOptions & GetOptionsOnly} GetOptions
+ */
+
 /**
  * Initiates get request and returns a promise resolving to response object.
  *
+ * Local files can be requested with file:// URLs (see getLocalFile).
+ *
  * Handles redirects up to MAX_REDIRECTS.
- * Repeats on errors (except for 404) up to MAX_RETRIES times.
+ * Repeats on errors (except for 404, 416 and public key
+ * pin mismatch) up to MAX_RETRIES times.
+ *
+ * If the request has a Range header, 206 (Partial Content) responses
+ * are accepted in addition to 200.
+ *
+ * Stops retrying and rejects as soon as options.signal is aborted.
  *
  * On success, the response must be fully consumed by the caller to avoid
  * leaking memory.
  *
- * @param {string} address - requested URL (must start with `https://`)
- * @param {string?} [contentType] - expected content-type or undefined/null to not check it
- * @returns {Promise<https.IncomingMessage>}
+ * @param {string} address - requested URL (must start with `https://` or `file://`)
+ * @param {GetOptions} [options]
+ * @returns {Promise<import('./transport').TransportResponse>}
  */
-function get(address, contentType, redirs = 0, tries = 0) {
+function get(address, options = {}, redirs = 0, tries = 0) {
+    if (options.signal && options.signal.aborted) {
+        return Promise.reject(abortError());
+    }
+    if (address.startsWith('file://')) {
+        return getLocalFile(address, options.headers);
+    }
     return new Promise((fulfill, reject) => {
-        const { host, path } = url.parse(address);
-        const options = {
-            headers: { 'User-Agent': 'peerio-updater/1.0' },
+        const { contentType, headers } = options;
+        const transport = options.transport || defaultTransport;
+        if (!address.startsWith('https://')) {
+            reject(new Error(`Unsafe URL: ${address}`));
+            return;
+        }
+        const reqOptions = {
+            headers: Object.assign({ 'User-Agent': 'peerio-updater/1.0' }, headers),
             timeout: REQUEST_TIMEOUT,
-            host,
-            path
+            signal: options.signal
         };
-        const req = https.get(options, res => {
+
+        let aborted = false;
+        const removeAbortListener = onAbort(options.signal, () => {
+            aborted = true;
+            reject(abortError());
+        });
+
+        const handleResponse = res => {
+            removeAbortListener();
+            if (aborted) {
+                // Transport ignored the signal.
+                res.destroy();
+                return;
+            }
             if (res.statusCode === 404) {
+                res.resume();
                 reject(new Error(`Not found: ${address}`));
                 return;
             }
+            if (res.statusCode === 416) {
+                res.resume();
+                reject(rangeNotSatisfiableError(address));
+                return;
+            }
             if (res.statusCode >= 300 && res.statusCode < 400 && res.headers['location']) {
                 res.resume();
                 if (redirs >= MAX_REDIRECTS) {
                     reject(new Error('Too many redirects'));
                     return;
                 }
-                let location = res.headers['location']; // always string according to Node docs
+                let location = String(res.headers['location']);
                 if (!/^https?:/.test(location)) {
                     location = url.resolve(address, location);
                 }
@@ -66,14 +135,15 @@ function get(address, contentType, redirs = 0, tries = 0) {
                     reject(new Error(`Unsafe redirect to ${location}`));
                     return;
                 }
-                fulfill(get(location, contentType, redirs + 1, tries));
+                fulfill(get(location, options, redirs + 1, tries));
                 return;
             }
-            if (res.statusCode !== 200) {
+            const partial = res.statusCode === 206 && headers && headers['Range'];
+            if (res.statusCode !== 200 && !partial) {
                 res.resume();
                 if (tries < MAX_RETRIES) {
-                    fulfill(waitBeforeRetry(tries).then(() =>
-                        get(address, contentType, 0, tries + 1))
+                    fulfill(waitBeforeRetry(tries, options.signal).then(() =>
+                        get(address, options, 0, tries + 1))
                     );
                 } else {
                     reject(new Error(`Request failed with status ${res.statusCode}`));
@@ -81,7 +151,7 @@ function get(address, contentType, redirs = 0, tries = 0) {
                 return;
             }
             if (contentType) {
-                let got = res.headers['content-type'] || '';
+                let got = String(res.headers['content-type'] || '');
                 // Strip anything after ';' (e.g. application/json; charset=utf8)
                 const semicolon = got.indexOf(';')
                 if (semicolon >= 0) got = got.substring(0, semicolon);
@@ -92,37 +162,104 @@ function get(address, contentType, redirs = 0, tries = 0) {
                 }
             }
             fulfill(res);
-        });
+        };
 
         const handleError = err => {
+            removeAbortListener();
+            if (aborted) {
+                return;
+            }
+            if (err.code === 'pin-mismatch') {
+                // Not going to get better with retries.
+                reject(err);
+                return;
+            }
             if (tries < MAX_RETRIES) {
-                fulfill(waitBeforeRetry(tries).then(() =>
-                    get(address, contentType, 0, tries + 1))
+                fulfill(waitBeforeRetry(tries, options.signal).then(() =>
+                    get(address, options, 0, tries + 1))
                 );
             } else {
                 reject(new Error(`Request failed: ${err.message}`));
             }
         };
 
-        req.on('error', handleError);
-        req.on('timeout', () => {
-            req.abort();
-            handleError(new Error('Request timed out'));
+        transport(address, reqOptions)
+            .then(handleResponse, handleError)
+            .catch(reject);
+    });
+}
+
+/**
+ * Returns a promise resolving to response-like stream
+ * of the local file at the given file:// URL.
+ *
+ * Supports Range header with the start position only,
+ * like the one used for resuming downloads.
+ *
+ * @param {string} address file URL
+ * @param {Object<string, string>} [headers] request headers
+ * @returns {Promise<import('./transport').TransportResponse>}
+ */
+function getLocalFile(address, headers = {}) {
+    return new Promise((fulfill, reject) => {
+        const filepath = fileURLToPath(address);
+        fs.stat(filepath, (err, stats) => {
+            if (err || !stats.isFile()) {
+                reject(new Error(`Not found: ${address}`));
+                return;
+            }
+            const m = (headers['Range'] || '').match(/^bytes=(\d+)-/);
+            const start = m ? parseInt(m[1], 10) : 0;
+            if (start > 0 && start >= stats.size) {
+                reject(rangeNotSatisfiableError(address));
+                return;
+            }
+            /** @type {any} */
+            const res = fs.createReadStream(filepath, { start });
+            res.statusCode = m ? 206 : 200;
+            res.headers = { 'content-length': String(stats.size - start) };
+            if (m) res.headers['content-range'] = `bytes ${start}-${stats.size - 1}/${stats.size}`;
+            fulfill(res);
         });
     });
 }
 
+/**
+ * Returns local file path of the given file:// URL.
+ *
+ * @param {string} address file URL
+ * @returns {string}
+ */
+function fileURLToPath(address) {
+    const { protocol, hostname, pathname } = url.parse(address);
+    if (protocol !== 'file:' || (hostname && hostname !== 'localhost')) {
+        throw new Error(`Unsupported file URL: ${address}`);
+    }
+    const filepath = decodeURIComponent(pathname || '');
+    if (process.platform === 'win32') {
+        // file:///C:/dir/file -> C:\dir\file
+        return filepath.replace(/^\/([A-Za-z]:)/, '$1').replace(/\//g, '\\');
+    }
+    return filepath;
+}
+
 /**
  * Reads the given stream and returns it as string.
- * Rejects if data is larger than MAX_TEXT_LENGTH.
+ * Rejects if data is larger than MAX_TEXT_LENGTH
+ * or if the signal is aborted.
  *
  * @param {stream.Readable} stream
+ * @param {AbortSignal} [signal]
  * @returns {Promise<string>} received text
  */
-function streamToText(stream) {
+function streamToText(stream, signal) {
     return new Promise((fulfill, reject) => {
         let chunks = [];
         let length = 0;
+        const removeAbortListener = onAbort(signal, () => {
+            stream.destroy();
+            reject(abortError());
+        });
         stream.setEncoding('utf8');
         stream.on('data', chunk => {
             length += chunk.length;
@@ -133,9 +270,11 @@ function streamToText(stream) {
             chunks.push(chunk);
         });
         stream.on('end', () => {
+            removeAbortListener();
             fulfill(chunks.join(''));
         });
         stream.on('error', err => {
+            removeAbortListener();
             reject(err);
         });
     });
@@ -146,12 +285,12 @@ function streamToText(stream) {
  * Rejects if received text is larger than MAX_TEXT_LENGTH.
  *
  * @param {string} address source URL
- * @param {string?} [contentType] expected content type or undefined if any
+ * @param {GetOptions} [options]
  * @returns {Promise<string>} resulting text
  */
-function fetchText(address, contentType) {
-    return get(address, contentType)
-        .then(streamToText)
+function fetchText(address, options = {}) {
+    return get(address, options)
+        .then(res => streamToText(res, options.signal))
         .catch(err => {
             console.error(`Fetch error: ${err.message}`);
             throw err; // re-throw
@@ -163,10 +302,12 @@ function fetchText(address, contentType) {
  * Rejects if received text is larger than MAX_TEXT_LENGTH.
  *
  * @param {string} address source URL
+ * @param {FetchOptions} [options]
  * @returns {Promise<Object>} resulting JSON
  */
-function fetchJSON(address) {
-    return fetchText(address, 'application/json').then(JSON.parse);
+function fetchJSON(address, options = {}) {
+    return fetchText(address, Object.assign({}, options, { contentType: 'application/json' }))
+        .then(JSON.parse);
 }
 
 /**
@@ -178,64 +319,359 @@ function fetchJSON(address) {
  *       <https://api.github.com/user/repos?page=50&per_page=100>; rel="last"
  *
  * @param {string} address - requested URL (must start with `https://`)
+ * @param {FetchOptions} [options]
  */
-function fetchAllJSONPages(address) {
-    return get(address, 'application/json').then(res => {
-        return streamToText(res).then(JSON.parse).then(json => {
+function fetchAllJSONPages(address, options = {}) {
+    const getOptions = Object.assign({}, options, { contentType: 'application/json' });
+    return get(address, getOptions).then(res => {
+        return streamToText(res, options.signal).then(JSON.parse).then(json => {
             // Extract next page link if it's there.
-            if (res.headers['link']) {
-                const m = res.headers['link'].match(/<(https:\/\/.+)>;\s*rel=["']next["']/);
-                if (!m || m.length <= 1) {
-                    // This page is final.
-                    return json;
-                }
-                // Have one more page, fetch it.
-                return fetchAllJSONPages(m[1]).then(r => json.concat(r));
-            } else {
+            const next = res.headers['link'] ? getNextPageURL(String(res.headers['link'])) : null;
+            if (!next) {
+                // This page is final.
                 return json;
             }
+            // Have one more page, fetch it.
+            return fetchAllJSONPages(next, options).then(r => json.concat(r));
         });
     });
 }
 
+/**
+ * Returns the next page URL from the value of Link header,
+ * or null if there's no next page.
+ *
+ * The header can have multiple entries in any order, for example,
+ * GitLab puts the previous page first:
+ *
+ * Link: <https://gitlab.com/api/v4/projects?page=1>; rel="prev",
+ *       <https://gitlab.com/api/v4/projects?page=3>; rel="next"
+ *
+ * @param {string} header
+ * @returns {string|null}
+ */
+function getNextPageURL(header) {
+    const entryRx = /<([^>]*)>((?:\s*;\s*[^;,]*)*)/g;
+    let entry;
+    while ((entry = entryRx.exec(header)) !== null) {
+        const rel = entry[2].match(/;\s*rel\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s;]+))/i);
+        const types = rel ? (rel[1] || rel[2] || rel[3] || '').split(/\s+/) : [];
+        if (types.indexOf('next') >= 0 && entry[1].startsWith('https://')) {
+            return entry[1];
+        }
+    }
+    return null;
+}
+
+/**
+ * Options for fetchFile().
+ *
+ * If size is given, the download is aborted as soon as the server
+ * reports a different Content-Length or sends more bytes than expected.
+ * If sha512 is given, the hash is calculated while downloading
+ * and compared with the expected one when the download finishes.
+ * Verification failures are rejected with errors having
+ * code 'verification-failed'.
+ *
+ * @typedef {Object} FetchFileOptionsOnly
+ * @property {boolean} [resume] continue downloading into the existing file
+ * @property {number} [size] expected file size
+ * @property {string} [sha512] expected hex-encoded SHA-512 hash of the file
+ * @property {ProgressCallback} [onProgress] called when a chunk of data is received
+ * @property {import('./throttle').Rate} [maxRate] maximum download rate in bytes per
+ *           second or a function returning it (see throttle.js); unlimited by default
+ *
+ * @typedef {FetchOptions & FetchFileOptionsOnly} FetchFileOptions
+ */
+
+/**
+ * Download progress callback.
+ *
+ * Receives the number of bytes in the file so far and the total
+ * number of bytes according to Content-Length (or undefined if unknown).
+ *
+ * @callback ProgressCallback
+ * @param {number} transferred
+ * @param {number|undefined} total
+ */
 
 /**
  * Fetches file from the given address, creating a file
  * into the given file path.
  *
+ * If options.resume is true, appends to the existing file
+ * using HTTP range requests and keeps the partially downloaded
+ * file on errors, so that the download can be resumed later.
+ * Dropped connections are resumed up to MAX_RETRIES times.
+ *
  * @param {string} address source URL
  * @param {string} filepath destination file path
+ * @param {FetchFileOptions} [options]
  * @returns {Promise<string>} promise resolving to the destination file path
  */
-function fetchFile(address, filepath) {
-    return get(address)
-        .then(res => new Promise((fulfill, reject) => {
-            const file = fs.createWriteStream(filepath);
-            res.on('error', err => {
-                // reading error
-                file.close();
-                fs.unlink(filepath, err => {   // best effort
-                    if (err) console.error(err);
-                });
-                reject(err);
-            });
-            file.on('error', err => {
-                // writing error
-                fs.unlink(filepath, err => {   // best effort
-                    if (err) console.error(err);
-                });
-                reject(err);
+function fetchFile(address, filepath, options = {}) {
+    if (options.resume) {
+        return resumeFile(address, filepath, options);
+    }
+    return get(address, { transport: options.transport, signal: options.signal })
+        .then(res => saveResponse(res, filepath, 'w', 0, options, createHash(options)))
+        .catch(err => {
+            fs.unlink(filepath, err => {   // best effort
+                if (err && err.code !== 'ENOENT') console.error(err);
             });
-            file.on('finish', () => {
-                fulfill(filepath);
+            throw err;
+        });
+}
+
+/**
+ * Continues downloading file from the given address
+ * into the existing file, starting from its current size.
+ *
+ * @param {string} address source URL
+ * @param {string} filepath destination file path
+ * @param {FetchFileOptions} options
+ * @param {number} tries current try number
+ * @returns {Promise<string>} promise resolving to the destination file path
+ */
+function resumeFile(address, filepath, options, tries = 0) {
+    let received = false;
+    return calculateSizeOrZero(filepath)
+        .then(offset => {
+            if (options.size != null && offset > options.size) {
+                throw verificationError(`Partially downloaded file is larger than expected ${options.size} bytes`);
+            }
+            // Hash the part that we already have.
+            const hash = createHash(options);
+            const hashed = (hash && offset > 0) ? hashFile(hash, filepath) : Promise.resolve(hash);
+            return hashed.then(hash => {
+                const headers = offset > 0 ? { 'Range': `bytes=${offset}-` } : {};
+                return get(address, { transport: options.transport, signal: options.signal, headers })
+                    .then(res => {
+                        received = true;
+                        if (res.statusCode !== 206) {
+                            // Server ignored range, start from scratch.
+                            if (offset > 0) console.log('Server does not support resuming, restarting download');
+                            return saveResponse(res, filepath, 'w', 0, options, createHash(options));
+                        }
+                        if (getRangeStart(res) !== offset) {
+                            res.resume();
+                            throw new Error(`Unexpected content range: ${res.headers['content-range']}`);
+                        }
+                        console.log(`Resuming download from byte ${offset}`);
+                        return saveResponse(res, filepath, 'a', offset, options, hash);
+                    })
+                    .catch(err => {
+                        if (err.statusCode === 416 && offset > 0) {
+                            // Partial file doesn't match the remote file
+                            // (e.g. it was replaced), start from scratch.
+                            return truncateFile(filepath).then(() => resumeFile(address, filepath, options, tries));
+                        }
+                        throw err;
+                    });
             });
-            res.pipe(file);
-        }));
+        })
+        .catch(err => {
+            // Only resume after errors that happened while receiving
+            // the response: get() already retries failed requests.
+            // There's no point in resuming if verification failed
+            // or the download was cancelled.
+            if (received && tries < MAX_RETRIES && err.code !== 'verification-failed' && !isAbortError(err)) {
+                console.log(`Download interrupted (${err.message}), resuming`);
+                return waitBeforeRetry(tries, options.signal).then(() => resumeFile(address, filepath, options, tries + 1));
+            }
+            throw err;
+        });
+}
+
+/**
+ * Writes response body into the given file,
+ * verifying its size and hash while streaming.
+ *
+ * If options.signal is aborted, stops reading the response
+ * and rejects after flushing the data received so far.
+ *
+ * Data is passed to the file through a stream that counts and
+ * hashes it, and stops before writing more bytes than expected.
+ * If options.maxRate is given, data is then passed through
+ * a throttle stream, which limits the download rate.
+ *
+ * @param {import('./transport').TransportResponse} res response
+ * @param {string} filepath destination file path
+ * @param {string} flags file system flags ('w' to overwrite, 'a' to append)
+ * @param {number} offset number of bytes already in the file
+ * @param {FetchFileOptions} options
+ * @param {crypto.Hash|null} hash hash of the data already in the file or null to not verify it
+ * @returns {Promise<string>} promise resolving to the destination file path
+ */
+function saveResponse(res, filepath, flags, offset, options, hash) {
+    return new Promise((fulfill, reject) => {
+        const { size, sha512, onProgress } = options;
+        const length = parseInt(res.headers['content-length'], 10);
+        const total = isNaN(length) ? undefined : offset + length;
+        if (size != null && total != null && total !== size) {
+            res.destroy();
+            reject(verificationError(`Incorrect file size: expected ${size}, server reported ${total}`));
+            return;
+        }
+        if (options.signal && options.signal.aborted) {
+            res.destroy();
+            reject(abortError());
+            return;
+        }
+        const file = fs.createWriteStream(filepath, { flags });
+        const throttle = options.maxRate ? createThrottleStream(options.maxRate) : null;
+        let transferred = offset;
+        let failed = false;
+        const check = new Transform({
+            transform(chunk, encoding, callback) {
+                transferred += chunk.length;
+                if (size != null && transferred > size) {
+                    // Drop the chunk, so that it doesn't reach the file.
+                    callback();
+                    fail(verificationError(`Incorrect file size: received more than expected ${size} bytes`));
+                    res.destroy();
+                    return;
+                }
+                if (hash) hash.update(chunk);
+                if (onProgress) onProgress(transferred, total);
+                callback(null, chunk);
+            }
+        });
+        const fail = err => {
+            if (failed) return;
+            failed = true;
+            removeAbortListener();
+            // Reading error: flush what we have received
+            // so far before reporting the error.
+            res.unpipe(check);
+            if (throttle) throttle.release();
+            file.once('finish', () => reject(err));
+            check.end();
+        };
+        const removeAbortListener = onAbort(options.signal, () => {
+            fail(abortError());
+            res.destroy();
+        });
+        if (onProgress) onProgress(transferred, total);
+        res.on('error', fail);
+        res.on('aborted', () => fail(new Error('Connection closed')));
+        file.on('error', err => {
+            // writing error
+            failed = true;
+            removeAbortListener();
+            res.unpipe(check);
+            res.resume();
+            reject(err);
+        });
+        file.on('finish', () => {
+            if (failed) return;
+            removeAbortListener();
+            if (size != null && transferred < size) {
+                reject(new Error(`Connection closed after receiving ${transferred} of ${size} bytes`));
+                return;
+            }
+            if (hash) {
+                const got = hash.digest('hex');
+                if (got !== sha512) {
+                    reject(verificationError(`Incorrect checksum: expected ${sha512}, got ${got}`));
+                    return;
+                }
+            }
+            fulfill(filepath);
+        });
+        if (throttle) {
+            res.pipe(check).pipe(throttle).pipe(file);
+        } else {
+            res.pipe(check).pipe(file);
+        }
+    });
+}
+
+/**
+ * Measures latency of the given address: the time it takes to
+ * receive the response to a request for the first byte.
+ *
+ * Doesn't retry failed requests.
+ *
+ * @param {string} address requested URL
+ * @param {FetchOptions} [options]
+ * @returns {Promise<number>} promise resolving to latency in milliseconds
+ */
+function measureLatency(address, options = {}) {
+    const start = Date.now();
+    const headers = { 'Range': 'bytes=0-0' };
+    return get(address, { transport: options.transport, signal: options.signal, headers }, 0, MAX_RETRIES)
+        .then(res => {
+            const latency = Date.now() - start;
+            res.destroy();
+            return latency;
+        });
+}
+
+/**
+ * Returns a new SHA-512 hash if options require verifying it.
+ *
+ * @param {FetchFileOptions} options
+ * @returns {crypto.Hash|null}
+ */
+function createHash(options) {
+    return options.sha512 ? crypto.createHash('sha512') : null;
+}
+
+/**
+ * Returns a new error indicating that
+ * downloaded file failed verification.
+ *
+ * @param {string} message
+ * @returns {Error}
+ */
+function verificationError(message) {
+    return codedError(message, 'verification-failed');
+}
+
+/**
+ * Returns a new error for 416 (Requested Range Not Satisfiable)
+ * response, which has statusCode property.
+ *
+ * @param {string} address requested URL
+ * @returns {Error & { statusCode: number }}
+ */
+function rangeNotSatisfiableError(address) {
+    return Object.assign(new Error(`Requested range not satisfiable: ${address}`), { statusCode: 416 });
+}
+
+/**
+ * Returns the first byte position from Content-Range
+ * header of the response or -1 if it's missing or invalid.
+ *
+ * @param {import('./transport').TransportResponse} res response
+ * @returns {number}
+ */
+function getRangeStart(res) {
+    const m = (res.headers['content-range'] || '').match(/^bytes (\d+)-\d+\/(?:\d+|\*)$/);
+    return m ? parseInt(m[1], 10) : -1;
+}
+
+/**
+ * Truncates the file to zero length.
+ *
+ * @param {string} filepath
+ * @returns {Promise<void>}
+ */
+function truncateFile(filepath) {
+    return new Promise((fulfill, reject) => {
+        fs.truncate(filepath, 0, err => {
+            if (err) return reject(err);
+            fulfill();
+        });
+    });
 }
 
 module.exports = {
     fetchText,
     fetchJSON,
     fetchAllJSONPages,
-    fetchFile
+    fetchFile,
+    measureLatency,
+    fileURLToPath
 };
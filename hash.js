@@ -29,22 +29,35 @@ function verifyHash(correctHash, filepath) {
  * @returns Promise<string> hex encoded hash
  */
 function calculateHash(filepath) {
+    return hashFile(crypto.createHash('sha512'), filepath)
+        .then(hash => hash.digest('hex'));
+}
+
+/**
+ * Updates the given hash with the contents
+ * of the file at the given path.
+ *
+ * @param {crypto.Hash} hash hash to update
+ * @param {string} filepath
+ * @returns {Promise<crypto.Hash>} promise resolving to the same hash
+ */
+function hashFile(hash, filepath) {
     return new Promise((fulfill, reject) => {
         const file = fs.createReadStream(filepath);
-        const hash = crypto.createHash('sha512');
-        hash.setEncoding('hex');
         file.on('error', err => {
             reject(err);
         });
+        file.on('data', chunk => {
+            hash.update(chunk);
+        });
         file.on('end', () => {
-            hash.end();
-            fulfill(hash.read());
+            fulfill(hash);
         });
-        file.pipe(hash);
     });
 }
 
 module.exports = {
     verifyHash,
-    calculateHash
+    calculateHash,
+    hashFile
 };
@@ -1,16 +1,100 @@
 import { EventEmitter } from "events";
 
+export interface TransportOptions {
+    headers: { [name: string]: string };
+    timeout: number;
+    signal?: AbortSignal;
+}
+
+export interface TransportResponse extends NodeJS.ReadableStream {
+    statusCode?: number;
+    headers: { [name: string]: string | string[] | undefined };
+    destroy(error?: Error): void;
+}
+
+export type Transport = (address: string, options: TransportOptions) => Promise<TransportResponse>;
+
+export interface KeyEntry {
+    key: string;
+    notBefore?: string;
+    notAfter?: string;
+    revoked?: boolean;
+}
+
+export interface FetchOptions {
+    transport?: Transport;
+    signal?: AbortSignal;
+}
+
+export interface ProviderContext {
+    currentVersion: string;
+    channel: string;
+    switchingChannel: boolean;
+    fetchOptions: FetchOptions;
+}
+
+export interface FetchedManifest {
+    text: string;
+    url: string;
+}
+
+export interface Provider {
+    fetchManifest(location: string, context: ProviderContext): Promise<FetchedManifest | null>;
+}
+
 export interface Config {
     version: string;
-    publicKeys: string[];
+    publicKeys: (string | KeyEntry)[];
     manifests: string[];
     nightly?: boolean;
+    channel?: string;
+    /** @deprecated Use channel instead. */
+    allowPrerelease?: boolean;
+    channelDowngrade?: boolean;
+    transport?: Transport;
+    ca?: string | string[];
+    pins?: { [host: string]: string[] };
+    threshold?: number;
+    clockSkew?: number;
+    parallelCheck?: boolean;
+    checkTimeout?: number;
+    providers?: { [scheme: string]: Provider };
+    mirrorOrder?: "manifest" | "latency";
+    maxDownloadRate?: number;
+    stateDirectory?: string;
+}
+
+export type UpdaterStateName =
+    "idle" | "checking" | "available" | "downloading" | "paused" | "downloaded" | "installing" | "error";
+
+export interface DownloadProgress {
+    transferred: number;
+    total: number;
+    bytesPerSecond: number;
+    percent: number;
+}
+
+export interface UpdaterState {
+    state: UpdaterStateName;
+    version: string | null;
+    progress: DownloadProgress | null;
+    lastError: Error | null;
 }
 
 export class Updater extends EventEmitter {
+    channel: string;
+    /** @deprecated Use channel instead. */
+    allowPrerelease: boolean;
+    getState(): UpdaterState;
     checkForUpdates(manifestURLIndex?: number): void;
     checkPeriodically(interval?: number): void;
     stopCheckingPeriodically(): void;
+    setMaxDownloadRate(rate: number): void;
+    setForeground(foreground: boolean): void;
+    pauseDownload(): Promise<void>;
+    resumeDownload(): Promise<void>;
+    cancelDownload(): Promise<void>;
+    getInstallId(): Promise<string>;
     failedInstallAttempts(): Promise<number>;
     cleanup(): void;
     scheduleInstallOnQuit(): void;
@@ -18,6 +102,12 @@ export class Updater extends EventEmitter {
     quitAndRetryInstall(allowLocal?: boolean): void;
 }
 
-type init = (config?: Config) => Updater;
+interface init {
+    (config?: Config): Updater;
+    registerProvider(scheme: string, provider: Provider): void;
+    createGitHubProvider(options?: { api?: string }): Provider;
+    createGitLabProvider(options?: { url?: string }): Provider;
+    createS3Provider(options?: { endpoint?: string }): Provider;
+}
 
 export default init;
@@ -1,6 +1,12 @@
 // @ts-check
 const path = require('path');
 const Updater = require('./updater');
+const {
+    registerProvider,
+    createGitHubProvider,
+    createGitLabProvider,
+    createS3Provider
+} = require('./providers');
 const { app } = require('electron');
 
 /*
@@ -12,7 +18,9 @@ const { app } = require('electron');
          "yyy..."
      ],
      manifests: [
-         "github:bla/bla"
+         "github:bla/bla",
+         "gitlab:group/project",
+         "s3:bucket/prefix",
          "https://example.com/manifest.txt"
      ]
  }
@@ -35,9 +43,23 @@ or in package.json
  *
  * @typedef {Object} Config
  * @property {string} version current semver version (1.0.0)
- * @property {Array<string>} publicKeys public keys for manifest verification
+ * @property {Array<string|Object>} publicKeys public keys for manifest verification (see keys.js)
  * @property {Array<string>} manifests manifest URLs as described above
  * @property {boolean} nightly if true, uses a different "nightly" installer for Mac
+ * @property {string} [channel] release channel: 'stable' (default), 'beta', 'nightly' or custom
+ * @property {boolean} [allowPrerelease] deprecated: uses 'beta' channel if true and channel is not given
+ * @property {boolean} [channelDowngrade] if true, allows switching to a channel with lower version
+ * @property {Function} [transport] function to make HTTPS requests with (see transport.js)
+ * @property {string|Array<string>} [ca] PEM-encoded CA certificates to trust instead of the system ones
+ * @property {Object<string, Array<string>>} [pins] base64-encoded SHA-256 public key hashes by host name
+ * @property {number} [threshold] number of public keys that must sign the manifest (1 by default)
+ * @property {number} [clockSkew] tolerance in milliseconds for checking manifest expiration
+ * @property {boolean} [parallelCheck] if true, fetches all manifests at once and uses the highest version
+ * @property {number} [checkTimeout] deadline in milliseconds for fetching manifests in parallel
+ * @property {Object<string, Object>} [providers] manifest source providers by URL scheme (see providers.js)
+ * @property {string} [mirrorOrder] 'manifest' (default) or 'latency' to try the fastest mirror first
+ * @property {number} [maxDownloadRate] maximum download rate in bytes per second (unlimited by default)
+ * @property {string} [stateDirectory] app-private directory for updater state (in userData by default)
  */
 function init(config) {
     if (!config) config = getConfigFromPackageJSON();
@@ -56,12 +78,15 @@ function getConfigFromPackageJSON() {
     if (!pkg.updater || !pkg.updater.publicKeys || !pkg.updater.manifests) {
         throw new Error('Malformed or missing "updater" in package.json');
     }
-    return {
+    return Object.assign({}, pkg.updater, {
         version: pkg.version,
-        publicKeys: pkg.updater.publicKeys,
-        manifests: pkg.updater.manifests,
         nightly: !!pkg.updater.nightly
-    };
+    });
 }
 
+init.registerProvider = registerProvider;
+init.createGitHubProvider = createGitHubProvider;
+init.createGitLabProvider = createGitLabProvider;
+init.createS3Provider = createS3Provider;
+
 module.exports = init;
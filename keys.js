@@ -0,0 +1,147 @@
+// @ts-check
+/**
+ * Sets of signing public keys with validity windows and revocation.
+ *
+ * Key set is an array of keys, where each key is either
+ * a base64-encoded public key string, which is always valid,
+ * or an object:
+ *
+ *   {
+ *     key: string, // base64-encoded public key in signify format
+ *     notBefore: string?, // ISO date before which the key is not valid
+ *     notAfter: string?, // ISO date after which the key is not valid
+ *     revoked: boolean? // if true, the key is never valid
+ *   }
+ *
+ * Key set can be changed by key updates:
+ *
+ *   {
+ *     add: Array<KeyEntry>, // keys to add or change validity window of
+ *     revoke: Array<string> // keys to revoke
+ *   }
+ */
+
+/**
+ * @typedef {Object} KeyEntry
+ * @property {string} key base64-encoded public key
+ * @property {string} [notBefore] ISO date before which the key is not valid
+ * @property {string} [notAfter] ISO date after which the key is not valid
+ * @property {boolean} [revoked] if true, the key is never valid
+ */
+
+/**
+ * @typedef {Object} KeyUpdate
+ * @property {Array<KeyEntry>} [add] keys to add
+ * @property {Array<string>} [revoke] keys to revoke
+ */
+
+/**
+ * Converts key set entry into an object.
+ *
+ * @param {string|KeyEntry} entry
+ * @returns {KeyEntry}
+ */
+function normalizeKey(entry) {
+    if (typeof entry === 'string') {
+        return { key: entry };
+    }
+    if (!entry || typeof entry.key !== 'string') {
+        throw new Error('Invalid key set entry');
+    }
+    return Object.assign({}, entry);
+}
+
+/**
+ * Throws if key set entry is malformed.
+ *
+ * @param {string|KeyEntry} entry
+ */
+function validateKey(entry) {
+    const { key, notBefore, notAfter } = normalizeKey(entry);
+    // Algorithm (2 bytes), key number (8 bytes), public key (32 bytes).
+    if (!/^[A-Za-z0-9+/]{56}$/.test(key)) {
+        throw new Error(`Invalid public key: ${key}`);
+    }
+    [notBefore, notAfter].forEach(date => {
+        if (date != null && isNaN(Date.parse(date))) {
+            throw new Error(`Invalid key validity date: ${date}`);
+        }
+    });
+}
+
+/**
+ * Returns true if the key is not revoked
+ * and the given date is within its validity window.
+ *
+ * @param {string|KeyEntry} entry
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isKeyValid(entry, now = new Date()) {
+    if (typeof entry === 'string') {
+        return true;
+    }
+    if (entry.revoked) {
+        return false;
+    }
+    if (entry.notBefore && now.getTime() < Date.parse(entry.notBefore)) {
+        return false;
+    }
+    if (entry.notAfter && now.getTime() > Date.parse(entry.notAfter)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Returns keys from the key set that are valid at the given date.
+ *
+ * @param {Array<string|KeyEntry>} keySet
+ * @param {Date} [now]
+ * @returns {Array<string>} base64-encoded public keys
+ */
+function getValidKeys(keySet, now = new Date()) {
+    return keySet.filter(entry => isKeyValid(entry, now))
+        .map(entry => normalizeKey(entry).key);
+}
+
+/**
+ * Returns a new key set with the update applied.
+ *
+ * Added keys replace existing entries for the same key,
+ * but revoked keys stay revoked forever.
+ *
+ * @param {Array<string|KeyEntry>} keySet
+ * @param {KeyUpdate} update
+ * @returns {Array<KeyEntry>}
+ */
+function applyKeyUpdate(keySet, update) {
+    const result = keySet.map(normalizeKey);
+    const find = key => result.findIndex(entry => entry.key === key);
+    (update.add || []).forEach(added => {
+        added = normalizeKey(added);
+        const i = find(added.key);
+        if (i < 0) {
+            result.push(added);
+        } else {
+            result[i] = Object.assign(added, { revoked: result[i].revoked || added.revoked });
+        }
+    });
+    (update.revoke || []).forEach(key => {
+        const i = find(key);
+        if (i < 0) {
+            result.push({ key, revoked: true });
+        } else {
+            result[i].revoked = true;
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    normalizeKey,
+    validateKey,
+    isKeyValid,
+    getValidKeys,
+    applyKeyUpdate
+};
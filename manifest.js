@@ -2,9 +2,12 @@
 /**
  * Update manifest parsing
  */
+const url = require('url');
 const semver = require('semver');
 const signing = require('./signing');
+const { normalizeKey, validateKey } = require('./keys');
 const currentPlatform = require('./platform');
+const { codedError } = require('./errors');
 
 // Comment to add as a first line when creating a manifest.
 // No need to verify that it exists, it's purely info for humans.
@@ -15,6 +18,48 @@ const URGENCY_MANDATORY = 'mandatory'; // default
 const URGENCY_OPTIONAL_SINCE = 'optional since';
 const URGENCY_OPTIONAL_SINCE_RX = /^optional since (.+)$/;
 
+// Channel of releases without prerelease tag.
+const STABLE_CHANNEL = 'stable';
+
+// Channels recognized from prerelease tags of versions
+// in addition to custom channels (see getVersionChannel).
+const PRERELEASE_CHANNELS = ['beta', 'nightly'];
+
+// Default tolerance for difference between
+// the local clock and the clock of manifest creator.
+const DEFAULT_CLOCK_SKEW = 60 * 60 * 1000; // 1 hour
+
+// Manifest formats: line-based "key: value" pairs (v1)
+// and canonical JSON (v2).
+const FORMAT_V1 = 1;
+const FORMAT_V2 = 2;
+
+// Fields of JSON manifest by data key: path in JSON object and value type.
+// Unknown top-level fields with string values are kept as is.
+const JSON_FIELDS = {
+    'version': { path: ['version'], type: 'string' },
+    'urgency': { path: ['urgency'], type: 'string' },
+    'date': { path: ['date'], type: 'string' },
+    'expires': { path: ['expires'], type: 'string' },
+    'channel': { path: ['channel'], type: 'string' },
+    'changelog': { path: ['changelog'], type: 'string' },
+    'release-notes': { path: ['releaseNotes'], type: 'string' },
+    'rollout': { path: ['rollout'], type: 'number' },
+    'target-platforms': { path: ['target', 'platforms'], type: 'list' },
+    'target-min-version': { path: ['target', 'minVersion'], type: 'string' },
+    'target-install-ids': { path: ['target', 'installIds'], type: 'list' },
+    'keys-add': { path: ['keys', 'add'], type: 'keys' },
+    'keys-revoke': { path: ['keys', 'revoke'], type: 'list' }
+};
+
+// Types of platform fields (including patch fields) in JSON manifest.
+const JSON_PLATFORM_FIELDS = {
+    'file': 'string',
+    'mirrors': 'list',
+    'size': 'number',
+    'sha512': 'string'
+};
+
 class Manifest {
     /**
      * Creates a new manifest instance.
@@ -22,6 +67,15 @@ class Manifest {
      */
     constructor(platform = currentPlatform()) {
         this.platform = platform;
+        this.format = FORMAT_V1;
+        // URL the manifest was loaded from, if known,
+        // for resolving relative file URLs.
+        this.location = null;
+        // Signed source the manifest was loaded from, if any,
+        // for verifying it again later.
+        this.source = null;
+        // Trusted comments of valid minisign signatures.
+        this.trustedComments = [];
         this.data = {};
     }
 
@@ -79,6 +133,35 @@ class Manifest {
         this.data.date = value.toISOString();
     }
 
+    // Gets expiration date or null if manifest doesn't expire.
+    get expires() {
+        return this.data.expires ? new Date(this.data.expires) : null;
+    }
+
+    // Sets expiration date (or removes it if null).
+    set expires(value) {
+        if (value) {
+            this.data.expires = value.toISOString();
+        } else {
+            delete this.data.expires;
+        }
+    }
+
+    // Gets release channel declared by manifest or null
+    // if it was created before channels were introduced.
+    get channel() {
+        return this.data.channel || null;
+    }
+
+    set channel(value) {
+        if (value) {
+            validateChannel(value);
+            this.data.channel = value;
+        } else {
+            delete this.data.channel;
+        }
+    }
+
     get changelog() {
         return this.data.changelog;
     }
@@ -87,6 +170,122 @@ class Manifest {
         this.data.changelog = value;
     }
 
+    // Gets release notes text, which may contain
+    // multiple lines (only supported in JSON format).
+    get releaseNotes() {
+        return this.data['release-notes'] || null;
+    }
+
+    set releaseNotes(value) {
+        if (value) {
+            this.data['release-notes'] = value;
+        } else {
+            delete this.data['release-notes'];
+        }
+    }
+
+    // Gets percentage of installs (0 to 100)
+    // that are offered this update (100 by default).
+    get rollout() {
+        if (this.data.rollout == null || this.data.rollout === '') {
+            return 100;
+        }
+        return parseFloat(this.data.rollout);
+    }
+
+    set rollout(percent) {
+        if (!(percent >= 0 && percent <= 100)) {
+            throw new Error(`Invalid rollout percentage: ${percent}`);
+        }
+        this.data.rollout = String(percent);
+    }
+
+    // Gets platforms that are offered this update
+    // (empty array means all platforms).
+    get targetPlatforms() {
+        return splitList(this.data['target-platforms']);
+    }
+
+    set targetPlatforms(platforms) {
+        this._setList('target-platforms', platforms);
+    }
+
+    // Gets minimum current version that is offered this update or null.
+    get targetMinVersion() {
+        return this.data['target-min-version'] || null;
+    }
+
+    set targetMinVersion(version) {
+        if (version) {
+            const v = semver.valid(version);
+            if (!v) {
+                throw new Error(`Invalid version ${version}`);
+            }
+            this.data['target-min-version'] = v;
+        } else {
+            delete this.data['target-min-version'];
+        }
+    }
+
+    // Gets install IDs which are offered this update
+    // regardless of rollout percentage.
+    get targetInstallIds() {
+        return splitList(this.data['target-install-ids']);
+    }
+
+    set targetInstallIds(ids) {
+        this._setList('target-install-ids', ids);
+    }
+
+    // Gets keys added (or with changed validity window)
+    // by this manifest as an array of key objects (see keys.js).
+    //
+    // Serialized as space-separated list of
+    // "key[,notBefore[,notAfter]]".
+    get addedKeys() {
+        return parseKeyList(this.data['keys-add']);
+    }
+
+    set addedKeys(entries) {
+        this._setList('keys-add', entries.map(normalizeKey).map(entry => formatKeyEntry({
+            key: entry.key,
+            notBefore: entry.notBefore ? new Date(entry.notBefore).toISOString() : undefined,
+            notAfter: entry.notAfter ? new Date(entry.notAfter).toISOString() : undefined
+        })));
+    }
+
+    // Gets keys revoked by this manifest as an array of public keys.
+    get revokedKeys() {
+        return splitList(this.data['keys-revoke']);
+    }
+
+    set revokedKeys(keys) {
+        this._setList('keys-revoke', keys);
+    }
+
+    /**
+     * Returns key update (see keys.js) declared by
+     * this manifest or null if it doesn't change keys.
+     *
+     * @returns {import('./keys').KeyUpdate|null}
+     */
+    getKeyUpdate() {
+        const add = this.addedKeys;
+        const revoke = this.revokedKeys;
+        if (add.length === 0 && revoke.length === 0) {
+            return null;
+        }
+        return { add, revoke };
+    }
+
+    _setList(key, list) {
+        if (list && list.length > 0) {
+            this.data[key] = list.join(' ');
+        } else {
+            delete this.data[key];
+        }
+    }
+
     _getPlatformField(platform, field) {
         platform = platform || this.platform;
         return this.data[`${platform}-${field}`];
@@ -97,8 +296,22 @@ class Manifest {
         this.data[`${platform}-${field}`] = value;
     }
 
+    /**
+     * Returns the given URL resolved relative
+     * to the manifest location, if it's known.
+     *
+     * @param {string} [address]
+     * @returns {string|undefined}
+     */
+    _resolveURL(address) {
+        if (!address || !this.location) {
+            return address;
+        }
+        return url.resolve(this.location, address);
+    }
+
     getFile(platform) {
-        return this._getPlatformField(platform, 'file');
+        return this._resolveURL(this._getPlatformField(platform, 'file'));
     }
 
     getSize(platform) {
@@ -109,10 +322,31 @@ class Manifest {
         return this._getPlatformField(platform, 'sha512');
     }
 
+    // Gets additional download URLs of the platform file.
+    getMirrors(platform) {
+        return splitList(this._getPlatformField(platform, 'mirrors')).map(address => this._resolveURL(address));
+    }
+
+    /**
+     * Returns all download URLs of the platform file:
+     * the main one followed by mirrors.
+     *
+     * @param {string?} [platform]
+     * @returns {Array<string>}
+     */
+    getFileURLs(platform) {
+        const urls = [this.getFile(platform)].concat(this.getMirrors(platform));
+        return urls.filter((address, i) => address && urls.indexOf(address) === i);
+    }
+
     setFile(platform, value) {
         return this._setPlatformField(platform, 'file', value);
     }
 
+    setMirrors(platform, urls) {
+        this._setList(`${platform || this.platform}-mirrors`, urls);
+    }
+
     setSize(platform, value) {
         return this._setPlatformField(platform, 'size', value);
     }
@@ -121,6 +355,50 @@ class Manifest {
         return this._setPlatformField(platform, 'sha512', value);
     }
 
+    /**
+     * Returns patch for updating from the given version
+     * (see patch.js) or null if there's no such patch:
+     *
+     * {
+     *   file: string, // patch URL
+     *   size: number, // patch size
+     *   sha512: string // hex-encoded SHA-512 hash of patch
+     * }
+     *
+     * The result of applying patch is the file
+     * with size and hash declared for the platform.
+     *
+     * @param {string?} platform
+     * @param {string} fromVersion
+     * @returns {{file: string, size: number, sha512: string}|null}
+     */
+    getPatch(platform, fromVersion) {
+        const file = this._getPlatformField(platform, `patch-${fromVersion}-file`);
+        const size = parseInt(this._getPlatformField(platform, `patch-${fromVersion}-size`), 10);
+        const sha512 = this._getPlatformField(platform, `patch-${fromVersion}-sha512`);
+        if (!file || !(size > 0) || !sha512) {
+            return null;
+        }
+        return { file: this._resolveURL(file), size, sha512 };
+    }
+
+    /**
+     * Sets patch for updating from the given version.
+     *
+     * @param {string?} platform
+     * @param {string} fromVersion
+     * @param {{file: string, size: number, sha512: string}} patch
+     */
+    setPatch(platform, fromVersion, patch) {
+        const v = semver.valid(fromVersion);
+        if (!v) {
+            throw new Error(`Invalid version ${fromVersion}`);
+        }
+        this._setPlatformField(platform, `patch-${v}-file`, patch.file);
+        this._setPlatformField(platform, `patch-${v}-size`, String(patch.size));
+        this._setPlatformField(platform, `patch-${v}-sha512`, patch.sha512);
+    }
+
     get file() {
         return this.getFile(this.platform);
     }
@@ -173,7 +451,53 @@ class Manifest {
         );
     }
 
+    /**
+     * Returns true if this update should be offered
+     * to the install described by the given parameters
+     * according to targeting rules and rollout percentage.
+     *
+     * Installs listed in target install IDs are offered the
+     * update regardless of rollout percentage; other installs
+     * are offered it if their bucket is less than the percentage.
+     *
+     * @param {Object} install
+     * @param {string} install.version current version
+     * @param {string} [install.platform] platform (manifest platform by default)
+     * @param {string} [install.id] install ID
+     * @param {number} install.bucket stable random number from 0 to 100
+     * @returns {boolean}
+     */
+    isOfferedTo(install) {
+        const platform = install.platform || this.platform;
+        const platforms = this.targetPlatforms;
+        if (platforms.length > 0 && platforms.indexOf(platform) < 0) {
+            return false;
+        }
+        const minVersion = this.targetMinVersion;
+        if (minVersion && semver.lt(install.version, minVersion)) {
+            return false;
+        }
+        if (install.id && this.targetInstallIds.indexOf(install.id) >= 0) {
+            return true;
+        }
+        return install.bucket < this.rollout;
+    }
+
+    /**
+     * Returns true if manifest version is newer than the given one.
+     *
+     * If manifest declares a channel, versions are compared according
+     * to semver, including prerelease tags (1.2.0-beta.2 is newer than
+     * 1.2.0-beta.1, and 1.2.0 is newer than both). Otherwise,
+     * prerelease tags are ignored.
+     *
+     * @param {string} currentVersion
+     * @returns {boolean}
+     */
     isNewerVersionThan(currentVersion) {
+        if (this.channel) {
+            return semver.gt(this.version, currentVersion);
+        }
         // We strip '-staging', etc. from comparison and only care about numbers.
         return semver.gt(
             semver.valid(this.version).replace(/-.*$/, ''),
@@ -181,18 +505,70 @@ class Manifest {
         );
     }
 
+    /**
+     * Returns release channel of the given version: 'stable' if
+     * there's no prerelease tag, or the first prerelease identifier
+     * if it's one of PRERELEASE_CHANNELS or the given custom channels
+     * (1.2.0-beta.1 is in 'beta' channel).
+     *
+     * Returns null for other prerelease tags, such as 1.2.0-staging,
+     * since they are not necessarily channels.
+     *
+     * @param {string} version
+     * @param {Array<string>} [customChannels]
+     * @returns {string|null}
+     */
+    static getVersionChannel(version, customChannels = []) {
+        const prerelease = semver.prerelease(version);
+        if (!prerelease) {
+            return STABLE_CHANNEL;
+        }
+        const tag = String(prerelease[0]);
+        if (PRERELEASE_CHANNELS.indexOf(tag) >= 0 || customChannels.indexOf(tag) >= 0) {
+            return tag;
+        }
+        return null;
+    }
+
+    /**
+     * Manifest loading options.
+     *
+     * @typedef {Object} LoadOptions
+     * @property {number} [threshold] number of required signatures by different keys (1 by default)
+     * @property {number} [clockSkew] tolerance for expiration checks in milliseconds
+     * @property {Date} [now] current date (for testing)
+     * @property {boolean} [atSignedDate] check key validity windows and
+     *           expiration at the manifest's signed date instead of now
+     *           (for verifying again manifests accepted in the past)
+     * @property {string} [location] URL the manifest was loaded from,
+     *           relative to which file URLs are resolved
+     */
+
     /**
      * Loads manifest from string, parses it,
      * and returns Manifest.
      *
+     * Manifest format (line-based or JSON) is detected
+     * automatically and stored in the format property.
+     *
+     * Signatures can be in signify or minisign format. Trusted
+     * comments of valid minisign signatures are stored in the
+     * trustedComments property.
+     *
+     * Throws an error with code 'manifest-expired'
+     * if the manifest has expired.
+     *
      * @param {Array<string>} publicKeys signing public keys
      * @param {string} source string
+     * @param {LoadOptions} [options]
      * @returns {Manifest}
      * @public
      */
-    static loadFromString(publicKeys, source) {
+    static loadFromString(publicKeys, source, options = {}) {
         const manifest = new Manifest();
-        manifest._deserialize(publicKeys, source);
+        manifest._deserialize(publicKeys, source, options);
+        manifest.location = options.location || null;
+        manifest.source = source;
         return manifest;
     }
 
@@ -201,8 +577,9 @@ class Manifest {
      * Throws if signature is invalid or manifest validation fails.
      *
      * @param {string} source string
+     * @param {LoadOptions} [options]
      */
-    _deserialize(publicKeys, source) {
+    _deserialize(publicKeys, source, options = {}) {
         // Parse lines.
         let lines = source.split('\n');
 
@@ -213,30 +590,51 @@ class Manifest {
         // First line is a untrusted comment, skip it.
         lines.shift();
 
-        // Next line is signature. Extract it and verify.
-        const sig = lines.shift();
+        // Next lines are signatures (one or more), up to the
+        // empty line that starts text. Extract them and verify.
+        // minisign signatures are followed by trusted comment
+        // and global signature lines.
+        const sigs = [];
+        while (lines.length > 0 && lines[0].trim() !== '' && lines[0].indexOf(':') < 0) {
+            const signature = lines.shift().trim();
+            if (lines.length > 1 && lines[0].startsWith(signing.TRUSTED_COMMENT_HEADER)) {
+                sigs.push({
+                    signature,
+                    trustedComment: lines.shift().substring(signing.TRUSTED_COMMENT_HEADER.length).replace(/\r$/, ''),
+                    globalSignature: lines.shift().trim()
+                });
+            } else {
+                sigs.push(signature);
+            }
+        }
+        if (sigs.length === 0) {
+            throw new Error(`Bad manifest`);
+        }
 
-        // Reconstruct text without command and signature
+        // Reconstruct text without command and signatures
         // to verify it.
         const text = lines.join('\n');
 
-        // Verify signature (throws if invalid).
-        signing.verify(publicKeys, sig, text);
+        let now = options.now;
+        if (options.atSignedDate) {
+            const date = Date.parse(parseText(text).data.date);
+            if (isNaN(date)) {
+                throw new Error('Manifest has no valid date');
+            }
+            now = new Date(date);
+        }
 
-        // Trim and remove empty lines.
-        lines = lines.map(line => line.trim()).filter(line => line.length > 0);
+        // Verify signatures (throws if there are
+        // less than threshold valid signatures).
+        const verified = signing.verifyThreshold(publicKeys, sigs, text, options.threshold, now);
 
-        // Parse lines as key-value pairs.
-        const data = {};
-        lines.forEach(line => {
-            const split = line.indexOf(':');
-            const key = line.substring(0, split).trim();
-            const value = split > 0 ? line.substring(split + 1).trim() : '';
-            data[key] = value;
-        });
-
-        this._validate(data);
+        const { data, format } = parseText(text);
+        this._validate(data, Object.assign({}, options, { now }));
         this.data = data;
+        this.format = format;
+        this.trustedComments = verified
+            .map(sig => sig.trustedComment)
+            .filter(comment => comment != null);
     }
 
     /**
@@ -244,38 +642,122 @@ class Manifest {
      * Throws if validation fails.
      *
      * @param {Object<string, string>} data
+     * @param {LoadOptions} [options]
      * @throws
      * @private
      */
-    _validate(data) {
+    _validate(data, options = {}) {
         if (!data.version || !semver.valid(data.version)) {
             throw new Error(`Invalid version: ${data.version}`);
         }
+        if (data.channel) {
+            validateChannel(data.channel);
+        }
+        if (data.rollout) {
+            const rollout = Number(data.rollout);
+            if (isNaN(rollout) || rollout < 0 || rollout > 100) {
+                throw new Error(`Invalid rollout percentage: ${data.rollout}`);
+            }
+        }
+        if (data['target-min-version'] && !semver.valid(data['target-min-version'])) {
+            throw new Error(`Invalid target minimum version: ${data['target-min-version']}`);
+        }
+        splitList(data['keys-add']).forEach(item => {
+            const [key, notBefore, notAfter] = item.split(',');
+            validateKey({ key, notBefore: notBefore || undefined, notAfter: notAfter || undefined });
+        });
+        splitList(data['keys-revoke']).forEach(key => validateKey(key));
+        if (data.expires) {
+            const expires = Date.parse(data.expires);
+            if (isNaN(expires)) {
+                throw new Error(`Invalid expiration date: ${data.expires}`);
+            }
+            const now = options.now || new Date();
+            const clockSkew = options.clockSkew != null ? options.clockSkew : DEFAULT_CLOCK_SKEW;
+            if (now.getTime() > expires + clockSkew) {
+                throw codedError(`Manifest ${data.version} expired on ${data.expires}`, 'manifest-expired');
+            }
+        }
     }
 
     /**
+     * Serializes and signs manifest with the given secret key
+     * or keys. If multiple keys are given, the manifest
+     * contains a signature line for each of them.
+     *
+     * Manifest is serialized in the given format, by default
+     * the one it was loaded in (line-based for new manifests).
+     *
+     * @param {string|Array<string>} secretKeys
+     * @param {number} [format] Manifest.FORMAT_V1 or Manifest.FORMAT_V2
+     * @param {import('./signing').Passphrase} [passphrase] passphrase
+     *        for encrypted secret keys
+     * @param {string} [trustedComment] if given, manifest is signed
+     *        with minisign signatures with this trusted comment
      * @returns {string}
      * @private
      */
-    serialize(secretKey) {
-        // Copy data.
-        const d = Object.assign({}, this.data);
-
-        if (!d.version) {
+    serialize(secretKeys, format = this.format, passphrase, trustedComment) {
+        if (!this.data.version) {
             throw new Error('Version is empty');
         }
 
+        let text;
+        if (format === FORMAT_V2) {
+            // Start with empty line, like line-based format.
+            text = `\n${canonicalJSON(dataToJSON(this.data))}\n`;
+        } else if (format === FORMAT_V1) {
+            text = this._serializeLines();
+        } else {
+            throw new Error(`Unsupported manifest format: ${format}`);
+        }
+
+        // Sign, comment and prepend signatures. Manifest with a single signify
+        // signature is a signify file with embedded message (signify -Ve).
+        const keys = Array.isArray(secretKeys) ? secretKeys : [secretKeys];
+        if (keys.length === 0) {
+            throw new Error('No secret keys given');
+        }
+        const sigs = keys.map(key => {
+            if (trustedComment == null) {
+                return signing.sign(key, text, passphrase);
+            }
+            const sig = signing.signWithTrustedComment(key, text, trustedComment, passphrase);
+            return `${sig.signature}\n${signing.TRUSTED_COMMENT_HEADER}${sig.trustedComment}\n${sig.globalSignature}`;
+        });
+        return `untrusted comment: ${COMMENT}\n${sigs.join('\n')}\n${text}`;
+    }
+
+    /**
+     * Returns manifest data as text in line-based format.
+     *
+     * @returns {string}
+     * @private
+     */
+    _serializeLines() {
+        // Copy data.
+        const d = Object.assign({}, this.data);
+
         const lines = [
             '' // start with empty line for readability
         ];
-        const add = (k, v) => lines.push(`${k}: ${v}`);
+        const add = (k, v) => {
+            if (/[\r\n]/.test(v)) {
+                throw new Error(`Value of ${k} contains line break, use JSON format`);
+            }
+            lines.push(`${k}: ${v}`);
+        };
 
         // Initial keys will be serialized first in the given order.
         const initialKeys = [
             'version',
             'urgency',
             'date',
+            'expires',
+            'channel',
             'changelog',
+            'release-notes',
+            'rollout',
         ];
 
         // Add initial keys.
@@ -300,12 +782,273 @@ class Manifest {
         });
 
         lines.push(''); // empty line to make file end with new line
-        const text = lines.join('\n')
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Throws if channel name is invalid.
+ *
+ * @param {string} channel
+ */
+function validateChannel(channel) {
+    if (!/^[0-9A-Za-z-]+$/.test(channel)) {
+        throw new Error(`Invalid channel: ${channel}`);
+    }
+}
+
+/**
+ * Splits space-separated list into array.
+ *
+ * @param {string} [value]
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+    return (value || '').split(/\s+/).filter(item => item.length > 0);
+}
+
+/**
+ * Parses space-separated list of "key[,notBefore[,notAfter]]"
+ * into array of key objects.
+ *
+ * @param {string} [value]
+ * @returns {Array<import('./keys').KeyEntry>}
+ */
+function parseKeyList(value) {
+    return splitList(value).map(item => {
+        const [key, notBefore, notAfter] = item.split(',');
+        const entry = { key };
+        if (notBefore) entry.notBefore = notBefore;
+        if (notAfter) entry.notAfter = notAfter;
+        return entry;
+    });
+}
+
+/**
+ * Formats key object as "key[,notBefore[,notAfter]]".
+ *
+ * @param {import('./keys').KeyEntry} entry
+ * @returns {string}
+ */
+function formatKeyEntry(entry) {
+    return [entry.key, entry.notBefore || '', entry.notAfter || '']
+        .join(',').replace(/,+$/, '');
+}
+
+/**
+ * Returns JSON representation of the given value with object
+ * keys sorted and without whitespace, so that the same data
+ * always has the same representation.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const fields = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+        return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Converts manifest data to JSON manifest object.
+ *
+ * Platform fields ("mac-file") are grouped by platform
+ * ({ platforms: { mac: { file } } }) and patch fields
+ * ("mac-patch-1.0.0-file") by version under "patches".
+ *
+ * @param {Object<string, string>} data
+ * @returns {Object}
+ */
+function dataToJSON(data) {
+    const json = { format: FORMAT_V2 };
+    Object.keys(data).forEach(key => {
+        const value = data[key];
+        if (!value) return;
+        const field = JSON_FIELDS[key];
+        if (field) {
+            setPath(json, field.path, toJSONValue(field.type, value));
+            return;
+        }
+        const m = key.match(/^(.+?)-patch-(.+)-([^-]+)$/) || key.match(/^(.+)-([^-]+)$/);
+        const name = m && m[m.length - 1];
+        if (m && JSON_PLATFORM_FIELDS[name]) {
+            const path = m.length === 4
+                ? ['platforms', m[1], 'patches', m[2], name]
+                : ['platforms', m[1], name];
+            setPath(json, path, toJSONValue(JSON_PLATFORM_FIELDS[name], value));
+            return;
+        }
+        json[key] = value;
+    });
+    return json;
+}
+
+/**
+ * Parses signed text of manifest in either format
+ * and returns manifest data and the detected format.
+ *
+ * @param {string} text
+ * @returns {{data: Object<string, string>, format: number}}
+ */
+function parseText(text) {
+    if (text.trim().startsWith('{')) {
+        return { data: parseJSONText(text.trim()), format: FORMAT_V2 };
+    }
+    // Parse lines as key-value pairs, skipping empty lines.
+    const data = {};
+    text.split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .forEach(line => {
+            const split = line.indexOf(':');
+            const key = line.substring(0, split).trim();
+            const value = split > 0 ? line.substring(split + 1).trim() : '';
+            data[key] = value;
+        });
+    return { data, format: FORMAT_V1 };
+}
+
+/**
+ * Parses text of JSON manifest, checks that it's canonical
+ * and converts it to manifest data.
+ *
+ * Throws if the text is not a valid JSON manifest.
+ *
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+function parseJSONText(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Bad manifest: ${err.message}`);
+    }
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        throw new Error('Bad manifest');
+    }
+    if (json.format !== FORMAT_V2) {
+        throw new Error(`Unsupported manifest format: ${json.format}`);
+    }
+    if (canonicalJSON(json) !== text) {
+        throw new Error('Bad manifest: JSON is not canonical');
+    }
+    const data = {};
+    const known = ['format', 'platforms'];
+    Object.keys(JSON_FIELDS).forEach(key => {
+        const { path, type } = JSON_FIELDS[key];
+        known.push(path[0]);
+        const value = getPath(json, path);
+        if (value != null) {
+            data[key] = fromJSONValue(type, value, path.join('.'));
+        }
+    });
+    Object.keys(json).forEach(key => {
+        if (known.indexOf(key) < 0 && typeof json[key] === 'string') {
+            data[key] = json[key];
+        }
+    });
+    const platforms = json.platforms || {};
+    Object.keys(platforms).forEach(platform => {
+        const fields = platforms[platform] || {};
+        Object.keys(JSON_PLATFORM_FIELDS).forEach(name => {
+            if (fields[name] != null) {
+                data[`${platform}-${name}`] = fromJSONValue(JSON_PLATFORM_FIELDS[name],
+                    fields[name], `platforms.${platform}.${name}`);
+            }
+        });
+        const patches = fields.patches || {};
+        Object.keys(patches).forEach(version => {
+            Object.keys(JSON_PLATFORM_FIELDS).forEach(name => {
+                const value = (patches[version] || {})[name];
+                if (value != null) {
+                    data[`${platform}-patch-${version}-${name}`] = fromJSONValue(JSON_PLATFORM_FIELDS[name],
+                        value, `platforms.${platform}.patches.${version}.${name}`);
+                }
+            });
+        });
+    });
+    return data;
+}
 
-        // Sign, comment and prepend signature.
-        const sig = signing.sign(secretKey, text);
-        return `untrusted comment: ${COMMENT}\n${sig}\n${text}`;
+/**
+ * Converts manifest data value to JSON value of the given type.
+ *
+ * @param {string} type
+ * @param {string} value
+ * @returns {any}
+ */
+function toJSONValue(type, value) {
+    switch (type) {
+        case 'number':
+            return Number(value);
+        case 'list':
+            return splitList(value);
+        case 'keys':
+            return parseKeyList(value);
+        default:
+            return value;
     }
 }
 
+/**
+ * Converts JSON value of the given type to manifest data value.
+ * Throws if the value has a wrong type.
+ *
+ * @param {string} type
+ * @param {any} value
+ * @param {string} name field name for error messages
+ * @returns {string}
+ */
+function fromJSONValue(type, value, name) {
+    const isListItem = item => typeof item === 'string' && item.length > 0 && !/\s/.test(item);
+    const isKeyItem = item => isListItem(item) && item.indexOf(',') < 0;
+    switch (type) {
+        case 'number':
+            if (typeof value === 'number' && isFinite(value)) {
+                return String(value);
+            }
+            break;
+        case 'list':
+            if (Array.isArray(value) && value.every(isListItem)) {
+                return value.join(' ');
+            }
+            break;
+        case 'keys':
+            if (Array.isArray(value) && value.every(entry => entry &&
+                isKeyItem(entry.key) &&
+                (entry.notBefore == null || isKeyItem(entry.notBefore)) &&
+                (entry.notAfter == null || isKeyItem(entry.notAfter)))) {
+                return value.map(formatKeyEntry).join(' ');
+            }
+            break;
+        default:
+            if (typeof value === 'string') {
+                return value;
+            }
+    }
+    throw new Error(`Bad manifest: invalid ${name}`);
+}
+
+function getPath(obj, path) {
+    return path.reduce((o, key) => (o && typeof o === 'object') ? o[key] : undefined, obj);
+}
+
+function setPath(obj, path, value) {
+    const last = path[path.length - 1];
+    path.slice(0, -1).reduce((o, key) => (o[key] = o[key] || {}), obj)[last] = value;
+}
+
+Manifest.STABLE_CHANNEL = STABLE_CHANNEL;
+Manifest.FORMAT_V1 = FORMAT_V1;
+Manifest.FORMAT_V2 = FORMAT_V2;
+Manifest.DEFAULT_CLOCK_SKEW = DEFAULT_CLOCK_SKEW;
+
 module.exports = Manifest;
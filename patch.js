@@ -0,0 +1,362 @@
+// @ts-check
+/**
+ * Binary patches for delta updates.
+ *
+ * Patches are in BSDIFF40 format produced by bsdiff
+ * (http://www.daemonology.net/bsdiff/):
+ *
+ *   offset  length  contents
+ *   0       8       'BSDIFF40'
+ *   8       8       length of compressed control block
+ *   16      8       length of compressed diff block
+ *   24      8       size of new file
+ *   32      ...     bzip2-compressed control block
+ *   ...     ...     bzip2-compressed diff block
+ *   ...     ...     bzip2-compressed extra block
+ *
+ * Control block is a sequence of triples (x, y, z): add x bytes from
+ * diff block to x bytes from old file, copy y bytes from extra block,
+ * then move position in old file by z bytes. Numbers are 8-byte
+ * little-endian integers with the sign in the most significant bit.
+ *
+ * Patches are applied while streaming: blocks are decompressed
+ * and the new file is written in chunks, and the old file is read
+ * in chunks as needed, so that none of them is kept in memory.
+ */
+const fs = require('fs');
+const unbzip2 = require('unbzip2-stream');
+
+const MAGIC = 'BSDIFF40';
+const HEADER_SIZE = 32;
+
+/** Maximum number of bytes processed at once */
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Applies patch to the old file and writes the result to the new file.
+ *
+ * Returns a promise, which rejects if the patch is malformed.
+ * The result must be verified by the caller.
+ *
+ * @param {string} oldFile path to the file to patch
+ * @param {string} patchFile path to the patch
+ * @param {string} newFile path to the resulting file
+ * @returns {Promise<void>}
+ */
+async function applyPatch(oldFile, patchFile, newFile) {
+    const header = await readHeader(patchFile);
+    const diffStart = HEADER_SIZE + header.ctrlLength;
+    const extraStart = diffStart + header.diffLength;
+    const ctrl = createBlockReader(patchFile, HEADER_SIZE, diffStart);
+    const diff = createBlockReader(patchFile, diffStart, extraStart);
+    const extra = createBlockReader(patchFile, extraStart);
+    const output = createOutput(newFile);
+    let oldFd = null;
+    try {
+        oldFd = await open(oldFile);
+        const oldSize = (await fstat(oldFd)).size;
+        const newSize = header.newSize;
+        let oldPos = 0;
+        let newPos = 0;
+        while (newPos < newSize) {
+            const triple = await ctrl.read(24);
+            if (triple.length < 24) {
+                throw new Error('Corrupt patch: unexpected end of control block');
+            }
+            const x = readOffset(triple, 0);
+            const y = readOffset(triple, 8);
+            const z = readOffset(triple, 16);
+
+            // Add old data to diff.
+            if (x < 0 || newPos + x > newSize) {
+                throw new Error('Corrupt patch: bad diff length');
+            }
+            for (let done = 0; done < x;) {
+                const chunk = await diff.read(Math.min(CHUNK_SIZE, x - done));
+                if (chunk.length === 0) {
+                    throw new Error('Corrupt patch: bad diff length');
+                }
+                const old = await readOld(oldFd, oldSize, oldPos + done, chunk.length);
+                for (let i = 0; i < chunk.length; i++) {
+                    chunk[i] = (chunk[i] + old[i]) & 0xff;
+                }
+                await output.write(chunk);
+                done += chunk.length;
+            }
+            newPos += x;
+            oldPos += x;
+
+            // Copy extra data.
+            if (y < 0 || newPos + y > newSize) {
+                throw new Error('Corrupt patch: bad extra length');
+            }
+            for (let done = 0; done < y;) {
+                const chunk = await extra.read(Math.min(CHUNK_SIZE, y - done));
+                if (chunk.length === 0) {
+                    throw new Error('Corrupt patch: bad extra length');
+                }
+                await output.write(chunk);
+                done += chunk.length;
+            }
+            newPos += y;
+
+            oldPos += z;
+        }
+        await output.close();
+    } catch (err) {
+        output.destroy();
+        throw err;
+    } finally {
+        ctrl.destroy();
+        diff.destroy();
+        extra.destroy();
+        if (oldFd != null) fs.close(oldFd, () => { /* ignore */ });
+    }
+}
+
+/**
+ * Reads and validates patch header.
+ *
+ * @param {string} patchFile
+ * @returns {Promise<{ctrlLength: number, diffLength: number, newSize: number}>}
+ */
+async function readHeader(patchFile) {
+    const fd = await open(patchFile);
+    try {
+        const size = (await fstat(fd)).size;
+        const header = Buffer.alloc(HEADER_SIZE);
+        const bytesRead = await read(fd, header, 0);
+        if (bytesRead < HEADER_SIZE || header.toString('latin1', 0, 8) !== MAGIC) {
+            throw new Error('Corrupt patch: bad header');
+        }
+        const ctrlLength = readOffset(header, 8);
+        const diffLength = readOffset(header, 16);
+        const newSize = readOffset(header, 24);
+        if (ctrlLength < 0 || diffLength < 0 || newSize < 0 ||
+            HEADER_SIZE + ctrlLength + diffLength > size) {
+            throw new Error('Corrupt patch: bad header');
+        }
+        return { ctrlLength, diffLength, newSize };
+    } finally {
+        fs.close(fd, () => { /* ignore */ });
+    }
+}
+
+/**
+ * Returns a reader of the decompressed block stored in the patch
+ * file from start to end (exclusive) position or to the end of file.
+ *
+ * Reader's read(n) returns a promise resolving to the next
+ * n bytes of the block, or less at the end of the block.
+ * Decompression is paused while enough data is buffered.
+ *
+ * @param {string} patchFile
+ * @param {number} start
+ * @param {number} [end]
+ * @returns {{read: function(number): Promise<Buffer>, destroy: function(): void}}
+ */
+function createBlockReader(patchFile, start, end) {
+    if (end === start) {
+        // Empty block.
+        return {
+            read: () => Promise.resolve(Buffer.alloc(0)),
+            destroy: () => { /* nothing to destroy */ }
+        };
+    }
+    const input = fs.createReadStream(patchFile, { start, end: end == null ? undefined : end - 1 });
+    const stream = input.pipe(unbzip2());
+    const chunks = [];
+    let buffered = 0;
+    let ended = false;
+    let error = null;
+    let notify = null;
+    const wake = () => {
+        if (notify) notify();
+    };
+    stream.on('data', chunk => {
+        chunks.push(chunk);
+        buffered += chunk.length;
+        if (buffered >= CHUNK_SIZE) stream.pause();
+        wake();
+    });
+    stream.on('end', () => {
+        ended = true;
+        wake();
+    });
+    stream.on('error', () => {
+        error = new Error('Corrupt patch: bad compressed block');
+        wake();
+    });
+    input.on('error', err => {
+        error = err;
+        wake();
+    });
+    return {
+        async read(n) {
+            while (buffered < n && !ended && !error) {
+                await new Promise(fulfill => {
+                    notify = fulfill;
+                    stream.resume();
+                });
+                notify = null;
+            }
+            if (error) {
+                throw error;
+            }
+            const parts = [];
+            let needed = Math.min(n, buffered);
+            while (needed > 0) {
+                const chunk = chunks[0];
+                if (chunk.length <= needed) {
+                    parts.push(chunks.shift());
+                    needed -= chunk.length;
+                } else {
+                    parts.push(chunk.slice(0, needed));
+                    chunks[0] = chunk.slice(needed);
+                    needed = 0;
+                }
+            }
+            const result = Buffer.concat(parts);
+            buffered -= result.length;
+            return result;
+        },
+        destroy() {
+            input.destroy();
+        }
+    };
+}
+
+/**
+ * Returns a writer to the given file, which waits
+ * for the file stream to drain after each write.
+ *
+ * @param {string} filename
+ */
+function createOutput(filename) {
+    const file = fs.createWriteStream(filename);
+    let error = null;
+    file.on('error', err => {
+        error = err;
+    });
+    return {
+        /**
+         * @param {Buffer} data
+         * @returns {Promise<void>}
+         */
+        write(data) {
+            return new Promise((fulfill, reject) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                if (file.write(data)) {
+                    fulfill();
+                    return;
+                }
+                const onError = err => {
+                    file.removeListener('drain', onDrain);
+                    reject(err);
+                };
+                const onDrain = () => {
+                    file.removeListener('error', onError);
+                    fulfill();
+                };
+                file.once('drain', onDrain);
+                file.once('error', onError);
+            });
+        },
+        /**
+         * @returns {Promise<void>}
+         */
+        close() {
+            return new Promise((fulfill, reject) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                file.once('error', reject);
+                file.end(() => fulfill());
+            });
+        },
+        destroy() {
+            file.destroy();
+        }
+    };
+}
+
+/**
+ * Reads length bytes of the old file starting at the given
+ * position, which can be outside of the file: such bytes are zero.
+ *
+ * @param {number} fd old file descriptor
+ * @param {number} oldSize old file size
+ * @param {number} pos position
+ * @param {number} length number of bytes
+ * @returns {Promise<Buffer>}
+ */
+async function readOld(fd, oldSize, pos, length) {
+    const buf = Buffer.alloc(length);
+    const start = Math.max(pos, 0);
+    const end = Math.min(pos + length, oldSize);
+    let offset = start - pos;
+    for (let p = start; p < end;) {
+        const bytesRead = await read(fd, buf.slice(offset, offset + end - p), p);
+        if (bytesRead === 0) break;
+        p += bytesRead;
+        offset += bytesRead;
+    }
+    return buf;
+}
+
+/**
+ * Reads 8-byte sign-magnitude little-endian integer.
+ *
+ * @param {Buffer} buf
+ * @param {number} pos
+ * @returns {number}
+ */
+function readOffset(buf, pos) {
+    const y = buf.readUInt32LE(pos) + (buf.readUInt32LE(pos + 4) & 0x7fffffff) * 0x100000000;
+    return (buf[pos + 7] & 0x80) ? -y : y;
+}
+
+function open(filename) {
+    return new Promise((fulfill, reject) => {
+        fs.open(filename, 'r', (err, fd) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            fulfill(fd);
+        });
+    });
+}
+
+function fstat(fd) {
+    return new Promise((fulfill, reject) => {
+        fs.fstat(fd, (err, stats) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            fulfill(stats);
+        });
+    });
+}
+
+function read(fd, buf, position) {
+    return new Promise((fulfill, reject) => {
+        fs.read(fd, buf, 0, buf.length, position, (err, bytesRead) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            fulfill(bytesRead);
+        });
+    });
+}
+
+module.exports = {
+    MAGIC,
+    applyPatch
+};
@@ -0,0 +1,375 @@
+// @ts-check
+/**
+ * Manifest source providers.
+ *
+ * Manifest URLs with a scheme other than https and file, such as
+ * 'github:owner/repo', are handled by the provider registered
+ * for the scheme. Provider finds the latest release at the
+ * location (the part of the URL after the scheme and colon)
+ * and returns the text of its manifest and the URL it was
+ * fetched from, relative to which manifest file URLs are resolved.
+ *
+ * Built-in providers:
+ *
+ *   github:owner/repo - GitHub releases with MANIFEST_FILENAME asset
+ *   gitlab:group/project - GitLab releases with MANIFEST_FILENAME asset link
+ *   s3:bucket/prefix - S3 bucket with MANIFEST_FILENAME in <prefix>/<version>/
+ *
+ * Providers for self-hosted GitHub Enterprise, GitLab, or S3-compatible
+ * storage can be created with the exported factory functions and registered
+ * under a custom scheme with registerProvider() or in updater config.
+ *
+ * Manifest text returned by provider is verified by the updater,
+ * so providers don't need to trust release information they get,
+ * but they should only return manifests from the configured channel
+ * or stable channel.
+ */
+const semver = require('semver');
+const { fetchJSON, fetchAllJSONPages, fetchText } = require('./fetch');
+const Manifest = require('./manifest');
+
+/** Manifest filename in releases */
+const MANIFEST_FILENAME = 'manifest.txt';
+
+/**
+ * Information about the updater passed to providers.
+ *
+ * @typedef {Object} ProviderContext
+ * @property {string} currentVersion current version
+ * @property {string} channel configured release channel
+ * @property {boolean} switchingChannel true if the current version is from
+ *           another channel, in which case the latest manifest must be returned
+ *           even if its version is not newer than the current one
+ * @property {import('./fetch').FetchOptions} fetchOptions options for fetch functions
+ */
+
+/**
+ * Manifest fetched by provider.
+ *
+ * @typedef {Object} FetchedManifest
+ * @property {string} text manifest text
+ * @property {string} url manifest URL, relative to which
+ *           file URLs in the manifest are resolved
+ */
+
+/**
+ * Provider fetches manifest of the latest release at the given
+ * location and returns a promise resolving to the fetched manifest,
+ * or to null if there's no newer release.
+ *
+ * @typedef {Object} Provider
+ * @property {function(string, ProviderContext): Promise<FetchedManifest|null>} fetchManifest
+ */
+
+/**
+ * Returns true if release with the given version
+ * can be used in the configured channel.
+ *
+ * @param {string} version
+ * @param {ProviderContext} context
+ * @returns {boolean}
+ */
+function isInChannel(version, context) {
+    if (!semver.valid(version)) {
+        return false;
+    }
+    const channel = Manifest.getVersionChannel(version, [context.channel]);
+    return channel === context.channel || channel === Manifest.STABLE_CHANNEL;
+}
+
+/**
+ * Returns the item with the highest version in the configured
+ * or stable channel, or null if there are no such items.
+ *
+ * @template T
+ * @param {Array<T>} items
+ * @param {function(T): string} getVersion
+ * @param {ProviderContext} context
+ * @returns {T|null}
+ */
+function findLatest(items, getVersion, context) {
+    return items
+        .filter(item => isInChannel(getVersion(item), context))
+        .reduce((newest, cur) => {
+            if (!newest || semver.gt(getVersion(cur), getVersion(newest))) {
+                return cur;
+            } else {
+                return newest;
+            }
+        }, null);
+}
+
+/**
+ * Returns true if the manifest of release with
+ * the given version should be fetched.
+ *
+ * Release information is not signed, so it can lie to us about
+ * the latest version, but if it does, it could also not serve the
+ * latest manifest, so there's no harm in checking this version number.
+ *
+ * @param {string} version
+ * @param {ProviderContext} context
+ * @returns {boolean}
+ */
+function isWanted(version, context) {
+    // When switching channels, we need the manifest
+    // even if it has a lower version.
+    return semver.gt(version, context.currentVersion) || context.switchingChannel;
+}
+
+/**
+ * Fetches manifest text from the given URL.
+ *
+ * @param {string} address manifest URL
+ * @param {ProviderContext} context
+ * @returns {Promise<FetchedManifest>}
+ */
+function fetchManifestText(address, context) {
+    console.log('Fetching', address);
+    return fetchText(address, context.fetchOptions).then(text => ({ text, url: address }));
+}
+
+/**
+ * Creates provider for GitHub releases.
+ *
+ * Location is 'owner/repo'. Release must
+ * have MANIFEST_FILENAME in assets.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.api] API URL ('https://api.github.com' by default)
+ * @returns {Provider}
+ */
+function createGitHubProvider(options = {}) {
+    const api = options.api || 'https://api.github.com';
+    return {
+        fetchManifest(location, context) {
+            const address = `${api}/repos/${location}/releases`;
+
+            // Fetch info about latest release
+            let promisedRelease;
+            if (context.channel === Manifest.STABLE_CHANNEL) {
+                // No prereleases, so use a simple API endpoint which returns latest release.
+                console.log(`Fetching ${address}/latest`);
+                promisedRelease = fetchJSON(address + '/latest', context.fetchOptions);
+            } else {
+                // Prereleases require fetching all releases and finding the latest
+                // one from our channel or stable channel.
+                console.log(`Fetching ${address}`);
+                promisedRelease = fetchAllJSONPages(address, context.fetchOptions)
+                    .then(releases => findLatest(
+                        releases.filter(release => !release.draft),
+                        release => release.tag_name,
+                        context
+                    ));
+            }
+
+            return promisedRelease.then(release => {
+                if (!release) {
+                    console.log('No releases on GitHub');
+                    return null;
+                }
+                console.log('Got release', release);
+                if (!isWanted(release.tag_name, context)) {
+                    console.log(`No new version on GitHub: have ${context.currentVersion} got ${release.tag_name} `);
+                    return null;
+                }
+                // Find manifest.
+                const asset = release.assets.find(asset => asset.name === MANIFEST_FILENAME);
+                if (!asset) {
+                    throw new Error(`Release ${release.tag_name} doesn't have ${MANIFEST_FILENAME}`);
+                }
+                return fetchManifestText(asset.browser_download_url, context);
+            });
+        }
+    };
+}
+
+/**
+ * Creates provider for GitLab releases.
+ *
+ * Location is project path ('group/project' or 'group/subgroup/project').
+ * Release must have a link to MANIFEST_FILENAME in assets.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.url] GitLab URL ('https://gitlab.com' by default)
+ * @returns {Provider}
+ */
+function createGitLabProvider(options = {}) {
+    const base = (options.url || 'https://gitlab.com').replace(/\/+$/, '');
+    return {
+        fetchManifest(location, context) {
+            const address = `${base}/api/v4/projects/${encodeURIComponent(location)}/releases`;
+            console.log(`Fetching ${address}`);
+            return fetchAllJSONPages(address, context.fetchOptions).then(releases => {
+                const release = findLatest(
+                    releases.filter(release => !release.upcoming_release),
+                    release => release.tag_name,
+                    context
+                );
+                if (!release) {
+                    console.log('No releases on GitLab');
+                    return null;
+                }
+                if (!isWanted(release.tag_name, context)) {
+                    console.log(`No new version on GitLab: have ${context.currentVersion} got ${release.tag_name}`);
+                    return null;
+                }
+                const links = (release.assets && release.assets.links) || [];
+                const link = links.find(link => link.name === MANIFEST_FILENAME);
+                if (!link) {
+                    throw new Error(`Release ${release.tag_name} doesn't have ${MANIFEST_FILENAME}`);
+                }
+                return fetchManifestText(link.direct_asset_url || link.url, context);
+            });
+        }
+    };
+}
+
+/**
+ * Creates provider for S3-compatible buckets.
+ *
+ * Location is 'bucket' or 'bucket/prefix'. Each release is stored in
+ * a directory named after its version, which contains MANIFEST_FILENAME:
+ *
+ *   prefix/1.0.0/manifest.txt
+ *   prefix/1.1.0-beta.1/manifest.txt
+ *
+ * Bucket must allow anonymous listing and reading.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] endpoint URL for path-style requests
+ *        (by default, uses AWS S3 with virtual-hosted–style requests)
+ * @returns {Provider}
+ */
+function createS3Provider(options = {}) {
+    const endpoint = options.endpoint && options.endpoint.replace(/\/+$/, '');
+    return {
+        fetchManifest(location, context) {
+            const split = location.indexOf('/');
+            const bucket = split < 0 ? location : location.substring(0, split);
+            const prefix = split < 0 ? '' : location.substring(split + 1).replace(/\/*$/, '/');
+            const base = endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.amazonaws.com`;
+            console.log(`Listing ${base}/${prefix}`);
+            return listS3Directories(base, prefix, context.fetchOptions).then(versions => {
+                const version = findLatest(versions, v => v, context);
+                if (!version) {
+                    console.log('No releases in bucket');
+                    return null;
+                }
+                if (!isWanted(version, context)) {
+                    console.log(`No new version in bucket: have ${context.currentVersion} got ${version}`);
+                    return null;
+                }
+                const manifestURL = `${base}/${prefix}${encodeURIComponent(version)}/${MANIFEST_FILENAME}`;
+                return fetchManifestText(manifestURL, context);
+            });
+        }
+    };
+}
+
+/**
+ * Returns a promise resolving to the names of directories
+ * with the given prefix in S3 bucket, following continuation
+ * tokens if the listing is truncated.
+ *
+ * @param {string} base bucket URL
+ * @param {string} prefix
+ * @param {import('./fetch').FetchOptions} fetchOptions
+ * @param {string} [token] continuation token
+ * @returns {Promise<Array<string>>}
+ */
+function listS3Directories(base, prefix, fetchOptions, token) {
+    let address = `${base}/?list-type=2&delimiter=%2F&prefix=${encodeURIComponent(prefix)}`;
+    if (token) address += `&continuation-token=${encodeURIComponent(token)}`;
+    return fetchText(address, fetchOptions).then(xml => {
+        const names = [];
+        const rx = /<CommonPrefixes>\s*<Prefix>([^<]*)<\/Prefix>/g;
+        let m;
+        while ((m = rx.exec(xml)) !== null) {
+            names.push(decodeXML(m[1]).substring(prefix.length).replace(/\/$/, ''));
+        }
+        const next = xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/);
+        if (/<IsTruncated>true<\/IsTruncated>/.test(xml) && next) {
+            return listS3Directories(base, prefix, fetchOptions, decodeXML(next[1]))
+                .then(rest => names.concat(rest));
+        }
+        return names;
+    });
+}
+
+/**
+ * Decodes XML entities.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXML(text) {
+    return text.replace(/&(lt|gt|quot|apos|amp);/g, (_, name) => ({
+        lt: '<', gt: '>', quot: '"', apos: "'", amp: '&'
+    })[name]);
+}
+
+/** Registered providers by scheme */
+const providers = {
+    github: createGitHubProvider(),
+    gitlab: createGitLabProvider(),
+    s3: createS3Provider()
+};
+
+/**
+ * Registers provider for manifest URLs with the given scheme.
+ *
+ * @param {string} scheme URL scheme without colon, e.g. 'gitlab'
+ * @param {Provider} provider
+ */
+function registerProvider(scheme, provider) {
+    validateScheme(scheme);
+    if (!provider || typeof provider.fetchManifest !== 'function') {
+        throw new Error(`Invalid provider for ${scheme}`);
+    }
+    providers[scheme] = provider;
+}
+
+/**
+ * Throws if scheme can't be used for a provider.
+ *
+ * @param {string} scheme
+ */
+function validateScheme(scheme) {
+    if (!/^[a-z][a-z0-9+.-]*$/.test(scheme) || scheme === 'https' || scheme === 'file') {
+        throw new Error(`Invalid provider scheme: ${scheme}`);
+    }
+}
+
+/**
+ * Returns provider for the given manifest URL and the location to pass
+ * to it, or null if the URL should be fetched directly (https and file).
+ * Throws if there's no provider for the URL scheme.
+ *
+ * @param {string} address manifest URL
+ * @param {Object<string, Provider>} [extra] additional providers by scheme,
+ *        which take precedence over registered ones
+ * @returns {{provider: Provider, location: string}|null}
+ */
+function getProviderForURL(address, extra = {}) {
+    const m = address.match(/^([A-Za-z][A-Za-z0-9+.-]*):(.*)$/);
+    if (!m || m[1].toLowerCase() === 'https' || m[1].toLowerCase() === 'file') {
+        return null;
+    }
+    const scheme = m[1].toLowerCase();
+    const provider = extra[scheme] || providers[scheme];
+    if (!provider) {
+        throw new Error(`No provider for manifest URL: ${address}`);
+    }
+    return { provider, location: m[2] };
+}
+
+module.exports = {
+    MANIFEST_FILENAME,
+    createGitHubProvider,
+    createGitLabProvider,
+    createS3Provider,
+    registerProvider,
+    validateScheme,
+    getProviderForURL
+};
@@ -1,9 +1,53 @@
 // @ts-check
 /**
- * OpenBSD's signify-compatible signatures.
+ * OpenBSD's signify-compatible signatures,
+ * which can also be verified with minisign public keys.
+ *
+ * Keys and signatures are base64-encoded strings, which are
+ * stored in signify files with an untrusted comment line:
+ *
+ *   untrusted comment: signify public key
+ *   RWQ...
+ *
+ * Signature files can contain a message after the signature
+ * (signify -e); manifests use this format.
+ *
+ * minisign uses the same public key format, and adds signatures
+ * of BLAKE2b-512 hash of the message ('ED' algorithm instead of
+ * 'Ed'), followed by a trusted comment and a global signature
+ * of the signature and trusted comment:
+ *
+ *   untrusted comment: signature from minisign secret key
+ *   RUQ...
+ *   trusted comment: timestamp:1556193335	file:manifest.txt
+ *   ...
+ *
+ * Such signatures are represented as objects (see MinisignSignature).
  */
 
+const fs = require('fs');
 const nacl = require('tweetnacl');
+const bcryptPbkdf = require('bcrypt-pbkdf');
+const blake = require('blakejs');
+const { normalizeKey, isKeyValid } = require('./keys');
+
+// Default number of bcrypt_pbkdf rounds for
+// encrypting secret keys (same as signify).
+const DEFAULT_KDF_ROUNDS = 42;
+
+// First line of signify files.
+const COMMENT_HEADER = 'untrusted comment: ';
+
+// Line following signature in minisign files.
+const TRUSTED_COMMENT_HEADER = 'trusted comment: ';
+
+// Maximum comment length including header (same as signify).
+const COMMENT_MAX_LENGTH = 1024;
+
+// Lengths of decoded signify data.
+const PUBLIC_KEY_LENGTH = 2 + 8 + 32;
+const SECRET_KEY_LENGTH = 2 + 2 + 4 + 16 + 8 + 8 + 64;
+const SIGNATURE_LENGTH = 2 + 8 + 64;
 
 // Buffers don't verify that base64 encoding is correct before
 // decoding data. See https://github.com/nodejs/node/issues/8569
@@ -13,44 +57,134 @@ function validateBase64(s) {
     }
 }
 
+/**
+ * Signature in minisign format.
+ *
+ * @typedef {Object} MinisignSignature
+ * @property {string} signature base64-encoded signature ('ED' or 'Ed')
+ * @property {string} trustedComment trusted comment
+ * @property {string} globalSignature base64-encoded signature
+ *           of the signature and trusted comment
+ */
+
+/**
+ * Result of successful verification.
+ *
+ * @typedef {Object} VerifiedSignature
+ * @property {string} key base64-encoded public key that made the signature
+ * @property {string|null} trustedComment trusted comment of minisign signature
+ */
+
 /**
  * Verifies signature.
- * Throws if signature is invalid.
+ * Throws if signature is invalid or the key
+ * that made it is revoked or not valid at the given date.
  *
- * @param {Array<string>} publicKeys list of base64-encoded public key in signify format
- * @param {string} sig base64-encoded signature in signify format
- * @param {string} text message to verify
+ * @param {Array<string|import('./keys').KeyEntry>} publicKeys key set
+ *        of base64-encoded public key in signify format (see keys.js)
+ * @param {string|MinisignSignature} sig base64-encoded signature
+ *        in signify format or minisign signature
+ * @param {string|Buffer} text message to verify
+ * @param {Date} [now] date to check key validity at
+ * @returns {VerifiedSignature}
  */
-function verify(publicKeys, sig, text) {
+function verify(publicKeys, sig, text, now = new Date()) {
+    return verifyWithKey(publicKeys, sig, text, now);
+}
+
+/**
+ * Verifies that the text is signed by at least threshold
+ * different valid keys from the given key set.
+ * Throws if there are not enough valid signatures.
+ *
+ * Invalid signatures and signatures by unknown keys
+ * are ignored as long as the threshold is met.
+ *
+ * @param {Array<string|import('./keys').KeyEntry>} publicKeys key set
+ *        of base64-encoded public key in signify format (see keys.js)
+ * @param {Array<string|MinisignSignature>} sigs signatures
+ * @param {string|Buffer} text message to verify
+ * @param {number} [threshold] number of required signatures
+ * @param {Date} [now] date to check key validity at
+ * @returns {Array<VerifiedSignature>} valid signatures by different keys
+ */
+function verifyThreshold(publicKeys, sigs, text, threshold = 1, now = new Date()) {
+    const signers = [];
+    const errors = [];
+    sigs.forEach(sig => {
+        try {
+            const verified = verifyWithKey(publicKeys, sig, text, now);
+            if (!signers.some(signer => signer.key === verified.key)) signers.push(verified);
+        } catch (err) {
+            errors.push(err);
+        }
+    });
+    if (signers.length >= threshold) {
+        return signers;
+    }
+    if (sigs.length === 1 && threshold === 1) {
+        throw errors[0];
+    }
+    const reasons = errors.map(err => err.message).join('; ');
+    throw new Error(`Invalid signature: ${signers.length} of ${threshold} required signatures ` +
+        `are valid${reasons ? ` (${reasons})` : ''}`);
+}
+
+/**
+ * Verifies signature and returns the public key that made it
+ * and trusted comment. Throws if signature is invalid.
+ *
+ * @param {Array<string|import('./keys').KeyEntry>} publicKeys key set
+ * @param {string|MinisignSignature} sig signature
+ * @param {string|Buffer} text message to verify
+ * @param {Date} now date to check key validity at
+ * @returns {VerifiedSignature}
+ */
+function verifyWithKey(publicKeys, sig, text, now) {
+    const minisig = typeof sig === 'string' ? null : sig;
+
     // Parse signature.
-    validateBase64(sig);
-    const binsig = Buffer.from(sig, 'base64');
+    const sigString = minisig ? minisig.signature : sig;
+    validateBase64(sigString);
+    const binsig = Buffer.from(sigString, 'base64');
 
     // Check signature length.
     if (binsig.length !== 10 + nacl.sign.signatureLength) {
         throw new Error('Bad signature length');
     }
 
-    // Check signature algorithm.
-    if (binsig[0] !== 69 /* 'E' */ || binsig[1] !== 100 /* 'd' */) {
+    // Check signature algorithm: 'Ed' signs the message,
+    // 'ED' (minisign) signs BLAKE2b-512 hash of the message.
+    if (binsig[0] !== 69 /* 'E' */ || (binsig[1] !== 100 /* 'd' */ && binsig[1] !== 68 /* 'D' */)) {
         throw new Error('Unknown signature algorithm');
     }
+    const prehashed = binsig[1] === 68;
 
     // Find the appropriate key for signature based on
     // algorithm and public key fingerprint embedded into signature.
     let key = null;
+    let keyString = null;
     for (let i = 0; i < publicKeys.length; i++) {
-        const binkey = Buffer.from(publicKeys[i], 'base64');
+        const entry = normalizeKey(publicKeys[i]);
+        const binkey = Buffer.from(entry.key, 'base64');
 
         // Check public  key format.
         if (binkey.length !== 10 + nacl.sign.publicKeyLength) {
             throw new Error('Bad public key length');
         }
 
-        // If algorithm (2 bytes) and key number (8) bytes match,
-        // we found the needed key.
-        if (nacl.verify(binkey.subarray(0, 10), binsig.subarray(0, 10))) {
+        // Check public key algorithm.
+        if (binkey[0] !== 69 /* 'E' */ || binkey[1] !== 100 /* 'd' */) {
+            throw new Error('Unknown public key algorithm');
+        }
+
+        // If key number (8) bytes match, we found the needed key.
+        if (nacl.verify(binkey.subarray(2, 10), binsig.subarray(2, 10))) {
+            if (!isKeyValid(entry, now)) {
+                throw new Error(`Invalid signature: key ${entry.key} is revoked or expired`);
+            }
             key = binkey;
+            keyString = entry.key;
             break;
         }
     }
@@ -58,41 +192,100 @@ function verify(publicKeys, sig, text) {
         throw new Error('Invalid signature: no matching key found');
     }
 
-    const bintext = Buffer.from(text, 'utf8');
+    let bintext = Buffer.isBuffer(text) ? text : Buffer.from(text, 'utf8');
+    if (prehashed) {
+        bintext = blake.blake2b(bintext, null, 64);
+    }
     if (!nacl.sign.detached.verify(bintext, binsig.subarray(10), key.subarray(10))) {
         throw new Error('Invalid signature');
     }
+
+    // Verify global signature, which covers
+    // signature and trusted comment.
+    if (minisig) {
+        validateBase64(minisig.globalSignature);
+        const binglobal = Buffer.from(minisig.globalSignature, 'base64');
+        const signed = Buffer.concat([binsig.subarray(10), Buffer.from(minisig.trustedComment, 'utf8')]);
+        if (binglobal.length !== nacl.sign.signatureLength ||
+            !nacl.sign.detached.verify(signed, binglobal, key.subarray(10))) {
+            throw new Error('Invalid signature: trusted comment verification failed');
+        }
+    }
+    return { key: keyString, trustedComment: minisig ? minisig.trustedComment : null };
 }
 
 /**
- * Signs text with the given secret key, returning signature.
+ * Passphrase for encrypted secret key: either a string
+ * or a function returning it, which is only called
+ * if the key is encrypted.
  *
- * Note that secret key is stored in the same format as signify,
- * but requires rounds = 0, so it is unencrypted.
+ * @typedef {string|function(): string} Passphrase
+ */
+
+/**
+ * Signs text with the given secret key, returning signature.
  *
- * Secret key format:
+ * Secret key is stored in the same format as signify,
+ * encrypted with passphrase if kdf rounds are not 0:
  *
  *   2 bytes - signature algorithm
  *   2 bytes - kdf algorithm ('B', 'K')
- *   4 bytes - kdf rounds (00 00 00 00)
- *  16 bytes - salt (any bytes, ignored)
+ *   4 bytes - kdf rounds (big-endian, 0 if key is unencrypted)
+ *  16 bytes - salt for kdf
  *   8 bytes - checksum (SHA512(secret key))
  *   8 bytes - key num (random bytes, embedded in signature and public key)
- *  64 bytes - secret key
+ *  64 bytes - secret key (XORed with bcrypt_pbkdf(passphrase, salt, rounds))
  *
  * @param {string} secretKey
- * @param {string} text
+ * @param {string|Buffer} text
+ * @param {Passphrase} [passphrase] required if the key is encrypted
  * @returns {string} signature
  */
-function sign(secretKey, text) {
-    const sec = parseSecretKey(secretKey);
-    const bintext = Buffer.from(text, 'utf8');
-    const sig = nacl.sign.detached(bintext, sec.key);
-    // Full signature includes algorithm id ('Ed'), key number,
-    // and the signature itself.
+function sign(secretKey, text, passphrase) {
+    const sec = parseSecretKey(secretKey, passphrase);
+    const bintext = Buffer.isBuffer(text) ? text : Buffer.from(text, 'utf8');
+    return formatSignature(sec, 100 /* 'd' */, nacl.sign.detached(bintext, sec.key));
+}
+
+/**
+ * Signs text with the given secret key in minisign format:
+ * signature of BLAKE2b-512 hash of the text ('ED' algorithm)
+ * with the trusted comment.
+ *
+ * @param {string} secretKey
+ * @param {string|Buffer} text
+ * @param {string} trustedComment single-line comment covered by signature
+ * @param {Passphrase} [passphrase] required if the key is encrypted
+ * @returns {MinisignSignature}
+ */
+function signWithTrustedComment(secretKey, text, trustedComment, passphrase) {
+    if (/[\r\n]/.test(trustedComment)) {
+        throw new Error('Invalid trusted comment');
+    }
+    const sec = parseSecretKey(secretKey, passphrase);
+    const bintext = Buffer.isBuffer(text) ? text : Buffer.from(text, 'utf8');
+    const sig = nacl.sign.detached(blake.blake2b(bintext, null, 64), sec.key);
+    const global = nacl.sign.detached(Buffer.concat([sig, Buffer.from(trustedComment, 'utf8')]), sec.key);
+    return {
+        signature: formatSignature(sec, 68 /* 'D' */, sig),
+        trustedComment,
+        globalSignature: Buffer.from(global).toString('base64')
+    };
+}
+
+/**
+ * Returns base64-encoded full signature, which includes algorithm
+ * id ('Ed' or 'ED'), key number, and the signature itself.
+ *
+ * @param {{num: Uint8Array}} sec parsed secret key
+ * @param {number} alg second byte of algorithm id
+ * @param {Uint8Array} sig
+ * @returns {string}
+ */
+function formatSignature(sec, alg, sig) {
     const fullsig = new Uint8Array(2 + 8 + 64);
     fullsig[0] = 69 // 'E'
-    fullsig[1] = 100; // 'd'
+    fullsig[1] = alg;
     fullsig.set(sec.num, 2) // key number
     fullsig.set(sig, 10); // signature
     return Buffer.from(fullsig.buffer).toString('base64');
@@ -100,7 +293,8 @@ function sign(secretKey, text) {
 
 /**
  * Converts secretKey from base64-encoded representation
- * into a Uint8Array acceptable for nacl.sign.
+ * into a Uint8Array acceptable for nacl.sign,
+ * decrypting it if it's encrypted.
  *
  * Returns an object with key num and secret key.
  *
@@ -109,12 +303,13 @@ function sign(secretKey, text) {
  *   key: Uint8Array
  * }
  *
- * Throws if key format is incorrect.
+ * Throws if key format or passphrase is incorrect.
  *
  * @param {string} secretKey
+ * @param {Passphrase} [passphrase]
  * @returns {Object} object { num, key }
  */
-function parseSecretKey(secretKey) {
+function parseSecretKey(secretKey, passphrase) {
     const k = Buffer.from(secretKey, 'base64');
 
     if (k.length < 2 + 2 + 4 + 16 + 8 + 8 + 64) {
@@ -132,18 +327,23 @@ function parseSecretKey(secretKey) {
     }
 
     // Extract fields.
-    const rounds = k.slice(4, 8).readUInt32BE(0);
-    if (rounds !== 0) {
-        throw new Error('Rounds must be 0; unlock key before passing to sign.')
-    }
-
+    const rounds = k.readUInt32BE(4);
+    const salt = k.slice(8, 24);
     const checksum = k.slice(24, 32);
     const num = Buffer.from(k.slice(32, 40));
     const key = Buffer.from(k.slice(40, 104));
 
+    // Decrypt key.
+    if (rounds > 0) {
+        if (passphrase == null) {
+            throw new Error('Secret key is encrypted, passphrase required');
+        }
+        xorKey(key, getPassphrase(passphrase), salt, rounds);
+    }
+
     // Verify key checksum.
     if (!nacl.verify(checksum, nacl.hash(key).subarray(0, 8))) {
-        throw new Error('Key checksum verification failure');
+        throw new Error(rounds > 0 ? 'Incorrect passphrase' : 'Key checksum verification failure');
     }
 
     return {
@@ -153,42 +353,394 @@ function parseSecretKey(secretKey) {
 }
 
 /**
- * Generates a new random signing key pair.
+ * Serializes secret key into base64-encoded signify format,
+ * encrypting it with the passphrase if it's given.
+ *
+ * @param {Uint8Array} num key number
+ * @param {Uint8Array} key secret key
+ * @param {Passphrase} [passphrase]
+ * @param {number} [rounds] kdf rounds
+ * @returns {string}
+ */
+function formatSecretKey(num, key, passphrase, rounds = DEFAULT_KDF_ROUNDS) {
+    const k = Buffer.alloc(2 + 2 + 4 + 16 + 8 + 8 + 64);
+    const salt = nacl.randomBytes(16);
+    const enckey = Buffer.from(key);
+
+    if (passphrase != null) {
+        if (!(Number.isInteger(rounds) && rounds > 0 && rounds <= 0xffffffff)) {
+            throw new Error(`Invalid kdf rounds: ${rounds}`);
+        }
+        xorKey(enckey, getPassphrase(passphrase), salt, rounds);
+        k.writeUInt32BE(rounds, 4);
+    }
+
+    k[0] = 69; // 'E'
+    k[1] = 100; // 'd'
+    k[2] = 66; // 'B'
+    k[3] = 75; // 'K'
+    k.set(salt, 8);
+    k.set(nacl.hash(key).subarray(0, 8), 24);
+    k.set(num, 32);
+    k.set(enckey, 40);
+    return k.toString('base64');
+}
+
+/**
+ * Returns passphrase string, calling passphrase
+ * function if needed. Throws if passphrase is empty.
+ *
+ * @param {Passphrase} passphrase
+ * @returns {string}
+ */
+function getPassphrase(passphrase) {
+    const value = typeof passphrase === 'function' ? passphrase() : passphrase;
+    if (typeof value !== 'string' || value.length === 0) {
+        throw new Error('Passphrase must not be empty');
+    }
+    return value;
+}
+
+/**
+ * XORs key in place with the mask derived from
+ * passphrase using bcrypt_pbkdf, which encrypts
+ * or decrypts it.
+ *
+ * @param {Uint8Array} key
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} rounds
+ */
+function xorKey(key, passphrase, salt, rounds) {
+    const pass = Buffer.from(passphrase, 'utf8');
+    const mask = new Uint8Array(key.length);
+    if (bcryptPbkdf.pbkdf(pass, pass.length, salt, salt.length, mask, mask.length, rounds) !== 0) {
+        throw new Error('Key derivation failed');
+    }
+    for (let i = 0; i < key.length; i++) {
+        key[i] ^= mask[i];
+    }
+}
+
+/**
+ * Returns true if the secret key is encrypted with passphrase.
+ *
+ * @param {string} secretKey
+ * @returns {boolean}
+ */
+function isSecretKeyEncrypted(secretKey) {
+    const k = Buffer.from(secretKey, 'base64');
+    if (k.length < 8) {
+        throw new Error('Incorrect secret key length');
+    }
+    return k.readUInt32BE(4) !== 0;
+}
+
+/**
+ * Encrypts unencrypted secret key with the passphrase.
+ *
+ * @param {string} secretKey
+ * @param {Passphrase} passphrase
+ * @param {number} [rounds] kdf rounds (42 by default)
+ * @returns {string} encrypted secret key
+ */
+function encryptSecretKey(secretKey, passphrase, rounds) {
+    if (isSecretKeyEncrypted(secretKey)) {
+        throw new Error('Secret key is already encrypted');
+    }
+    const sec = parseSecretKey(secretKey);
+    return formatSecretKey(sec.num, sec.key, passphrase, rounds);
+}
+
+/**
+ * Decrypts secret key encrypted with the passphrase.
+ *
+ * @param {string} secretKey
+ * @param {Passphrase} passphrase
+ * @returns {string} unencrypted secret key
+ */
+function decryptSecretKey(secretKey, passphrase) {
+    const sec = parseSecretKey(secretKey, passphrase);
+    return formatSecretKey(sec.num, sec.key);
+}
+
+/**
+ * Re-encrypts secret key with a new passphrase.
+ *
+ * @param {string} secretKey
+ * @param {Passphrase} oldPassphrase
+ * @param {Passphrase} newPassphrase
+ * @param {number} [rounds] kdf rounds (42 by default)
+ * @returns {string} secret key encrypted with the new passphrase
+ */
+function changePassphrase(secretKey, oldPassphrase, newPassphrase, rounds) {
+    const sec = parseSecretKey(secretKey, oldPassphrase);
+    return formatSecretKey(sec.num, sec.key, newPassphrase, rounds);
+}
+
+/**
+ * Generates a new random signing key pair, encrypting
+ * secret key if passphrase is given.
+ *
  * Returns {
  *  publicKey: string // base64-encoded public key in signify format
  *  secretKey: string // base64-encoded secret key in format suitable for sign()
  * }
+ *
+ * @param {Passphrase} [passphrase]
+ * @param {number} [rounds] kdf rounds (42 by default)
  */
-function generateKeyPair() {
+function generateKeyPair(passphrase, rounds) {
     const plain = nacl.sign.keyPair();
     const num = nacl.randomBytes(8);
 
     const publicKey = new Uint8Array(2 + 8 + 32);
-    const secretKey = new Uint8Array(2 + 2 + 4 + 16 + 8 + 8 + 64);
+    publicKey[0] = 69; // 'E'
+    publicKey[1] = 100; // 'd'
+    publicKey.set(num, 2);
+    publicKey.set(plain.publicKey, 10);
 
-    publicKey[0] = secretKey[0] = 69; // 'E'
-    publicKey[1] = secretKey[1] = 100; // 'd'
+    return {
+        publicKey: Buffer.from(publicKey.buffer).toString('base64'),
+        secretKey: formatSecretKey(num, plain.secretKey, passphrase, rounds)
+    };
+}
 
-    secretKey[2] = 66; // 'B'
-    secretKey[3] = 75; // 'K'
+/**
+ * Parses contents of signify file: untrusted comment,
+ * base64-encoded data (key or signature), and the
+ * message following it (for signatures with embedded message).
+ *
+ * @param {string} text file contents
+ * @param {number} length expected length of decoded data
+ * @returns {{comment: string, data: string, message: string}}
+ */
+function parseSignifyFile(text, length) {
+    const first = text.indexOf('\n');
+    const second = first < 0 ? -1 : text.indexOf('\n', first + 1);
+    if (!text.startsWith(COMMENT_HEADER) || second < 0) {
+        throw new Error('Invalid signify file: expected comment and base64 line');
+    }
+    if (first >= COMMENT_MAX_LENGTH) {
+        throw new Error('Invalid signify file: comment is too long');
+    }
+    // Files edited on Windows can have CRLF line endings.
+    const data = text.substring(first + 1, second).replace(/\r$/, '');
+    validateBase64(data);
+    if (Buffer.from(data, 'base64').length !== length) {
+        throw new Error('Invalid signify file: bad data length');
+    }
+    return {
+        comment: text.substring(COMMENT_HEADER.length, first).replace(/\r$/, ''),
+        data,
+        message: text.substring(second + 1)
+    };
+}
 
-    publicKey.set(num, 2);
-    secretKey.set(num, 32);
+/**
+ * Returns contents of signify file with the given
+ * comment, base64-encoded data and message.
+ *
+ * @param {string} comment
+ * @param {string} data
+ * @param {string} [message]
+ * @returns {string}
+ */
+function formatSignifyFile(comment, data, message = '') {
+    if (/[\r\n]/.test(comment) || COMMENT_HEADER.length + comment.length >= COMMENT_MAX_LENGTH) {
+        throw new Error('Invalid comment');
+    }
+    return `${COMMENT_HEADER}${comment}\n${data}\n${message}`;
+}
 
-    publicKey.set(plain.publicKey, 10);
-    secretKey.set(plain.secretKey, 40);
+/**
+ * Returns base64-encoded public key from
+ * the contents of signify public key file.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function parsePublicKeyFile(text) {
+    return parseSignifyFile(text, PUBLIC_KEY_LENGTH).data;
+}
 
-    const checksum = nacl.hash(plain.secretKey).subarray(0, 8);
-    secretKey.set(checksum, 24)
+/**
+ * Returns contents of signify public key file.
+ *
+ * @param {string} publicKey base64-encoded public key
+ * @param {string} [comment]
+ * @returns {string}
+ */
+function formatPublicKeyFile(publicKey, comment = 'signify public key') {
+    return formatSignifyFile(comment, publicKey);
+}
 
+/**
+ * Returns base64-encoded secret key (possibly encrypted)
+ * from the contents of signify secret key file.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function parseSecretKeyFile(text) {
+    return parseSignifyFile(text, SECRET_KEY_LENGTH).data;
+}
+
+/**
+ * Returns contents of signify secret key file.
+ *
+ * @param {string} secretKey base64-encoded secret key
+ * @param {string} [comment]
+ * @returns {string}
+ */
+function formatSecretKeyFile(secretKey, comment = 'signify secret key') {
+    return formatSignifyFile(comment, secretKey);
+}
+
+/**
+ * Parses contents of signify signature file.
+ * Message is empty for detached signatures.
+ *
+ * @param {string} text
+ * @returns {{signature: string, comment: string, message: string}}
+ */
+function parseSignatureFile(text) {
+    const { comment, data, message } = parseSignifyFile(text, SIGNATURE_LENGTH);
+    return { signature: data, comment, message };
+}
+
+/**
+ * Returns contents of signify signature file,
+ * with the message embedded if it's given.
+ *
+ * @param {string} signature base64-encoded signature
+ * @param {string} [comment]
+ * @param {string} [message]
+ * @returns {string}
+ */
+function formatSignatureFile(signature, comment = 'signature from signify secret key', message = '') {
+    return formatSignifyFile(comment, signature, message);
+}
+
+/**
+ * Parses contents of minisign signature file.
+ *
+ * @param {string} text
+ * @returns {MinisignSignature}
+ */
+function parseMinisignSignatureFile(text) {
+    const { signature, message } = parseSignatureFile(text);
+    const lines = message.split('\n');
+    if (!lines[0].startsWith(TRUSTED_COMMENT_HEADER) || lines.length < 2) {
+        throw new Error('Invalid minisign file: expected trusted comment');
+    }
     return {
-        publicKey: Buffer.from(publicKey.buffer).toString('base64'),
-        secretKey: Buffer.from(secretKey.buffer).toString('base64')
+        signature,
+        // Files edited on Windows can have CRLF line endings.
+        trustedComment: lines[0].substring(TRUSTED_COMMENT_HEADER.length).replace(/\r$/, ''),
+        globalSignature: lines[1].trim()
     };
 }
 
+/**
+ * Returns contents of minisign signature file.
+ *
+ * @param {MinisignSignature} sig
+ * @param {string} [comment] untrusted comment
+ * @returns {string}
+ */
+function formatMinisignSignatureFile(sig, comment = 'signature from minisign secret key') {
+    return formatSignatureFile(sig.signature, comment,
+        `${TRUSTED_COMMENT_HEADER}${sig.trustedComment}\n${sig.globalSignature}\n`);
+}
+
+/**
+ * Returns base64-encoded public key given either
+ * as the key itself or as the contents of signify
+ * public key file.
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+function normalizePublicKey(key) {
+    return key.startsWith(COMMENT_HEADER) ? parsePublicKeyFile(key) : key;
+}
+
+/**
+ * Signs the file at the given path, returning a promise
+ * resolving to the contents of detached signature file,
+ * which can be verified with `signify -V`, or, if trusted
+ * comment is given, with `minisign -V`.
+ *
+ * @param {string} secretKey
+ * @param {string} filepath
+ * @param {Passphrase} [passphrase] required if the key is encrypted
+ * @param {string} [comment] signature file comment
+ * @param {string} [trustedComment] trusted comment for minisign signature
+ * @returns {Promise<string>}
+ */
+function signFile(secretKey, filepath, passphrase, comment, trustedComment) {
+    return readFile(filepath).then(data => {
+        if (trustedComment != null) {
+            const sig = signWithTrustedComment(secretKey, data, trustedComment, passphrase);
+            return formatMinisignSignatureFile(sig, comment);
+        }
+        return formatSignatureFile(sign(secretKey, data, passphrase), comment);
+    });
+}
+
+/**
+ * Verifies detached signature of the file at the given path,
+ * in signify or minisign format. Returns a promise, which
+ * rejects if the signature is invalid.
+ *
+ * @param {Array<string|import('./keys').KeyEntry>} publicKeys key set
+ * @param {string} signatureFile contents of signify or minisign signature file
+ * @param {string} filepath
+ * @param {Date} [now] date to check key validity at
+ * @returns {Promise<VerifiedSignature>}
+ */
+function verifyFile(publicKeys, signatureFile, filepath, now) {
+    return Promise.resolve().then(() => {
+        const { signature, message } = parseSignatureFile(signatureFile);
+        const sig = message.startsWith(TRUSTED_COMMENT_HEADER) ?
+            parseMinisignSignatureFile(signatureFile) : signature;
+        return readFile(filepath).then(data => verify(publicKeys, sig, data, now));
+    });
+}
+
+function readFile(filename) {
+    return new Promise((fulfill, reject) => {
+        fs.readFile(filename, (err, data) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            fulfill(data);
+        });
+    });
+}
+
 module.exports = {
+    TRUSTED_COMMENT_HEADER,
     verify,
+    verifyThreshold,
     sign,
-    generateKeyPair
+    signWithTrustedComment,
+    generateKeyPair,
+    isSecretKeyEncrypted,
+    encryptSecretKey,
+    decryptSecretKey,
+    changePassphrase,
+    parsePublicKeyFile,
+    formatPublicKeyFile,
+    parseSecretKeyFile,
+    formatSecretKeyFile,
+    parseSignatureFile,
+    formatSignatureFile,
+    parseMinisignSignatureFile,
+    formatMinisignSignatureFile,
+    normalizePublicKey,
+    signFile,
+    verifyFile
 };
@@ -36,7 +36,22 @@ function calculateSize(filepath) {
     });
 }
 
+/**
+ * Calculates size of the file at the given path,
+ * resolving to 0 if the file doesn't exist.
+ *
+ * @param {string} filepath
+ * @returns Promise<number> file size
+ */
+function calculateSizeOrZero(filepath) {
+    return calculateSize(filepath).catch(err => {
+        if (err.code === 'ENOENT') return 0;
+        throw err;
+    });
+}
+
 module.exports = {
     verifySize,
-    calculateSize
+    calculateSize,
+    calculateSizeOrZero
 };
@@ -0,0 +1,43 @@
+const expect = require('chai').expect;
+const { createAbortController, onAbort, delay, isAbortError } = require('../abort');
+
+describe('Abort', () => {
+    describe('without global AbortController', () => {
+        const globalController = global.AbortController;
+
+        before(() => {
+            delete global.AbortController;
+        });
+
+        after(() => {
+            if (globalController) global.AbortController = globalController;
+        });
+
+        it('should create controller', () => {
+            const controller = createAbortController();
+            if (globalController) expect(controller).to.not.be.an.instanceOf(globalController);
+            let calls = 0;
+            const removeListener = onAbort(controller.signal, () => calls++);
+            const removeOther = onAbort(controller.signal, () => calls++);
+            removeOther();
+            expect(controller.signal.aborted).to.equal(false);
+            controller.abort();
+            controller.abort();
+            removeListener();
+            expect(controller.signal.aborted).to.equal(true);
+            expect(calls).to.equal(1);
+        });
+
+        it('should abort delay', async () => {
+            const controller = createAbortController();
+            const promise = delay(10000, controller.signal);
+            controller.abort();
+            try {
+                await promise;
+                throw new Error('Expected delay to be aborted');
+            } catch (err) {
+                expect(isAbortError(err)).to.equal(true);
+            }
+        });
+    });
+});
@@ -0,0 +1,209 @@
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const { run, parseArgs } = require('../cli');
+const { parsePublicKeyFile } = require('../signing');
+
+/**
+ * Runs command, returning exit code and printed
+ * output (parsed if it's JSON).
+ */
+async function runCommand(...args) {
+    const lines = [];
+    const errors = [];
+    const code = await run(args, {
+        log: line => lines.push(line),
+        error: line => errors.push(line)
+    });
+    const text = lines.join('\n');
+    return { code, text, errors, result: args.indexOf('--json') > 0 ? JSON.parse(text) : null };
+}
+
+describe('CLI', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'peerio-updater-cli-'));
+    });
+
+    afterEach(() => {
+        rimraf.sync(dir);
+    });
+
+    it('should parse arguments', () => {
+        const { options, positional } = parseArgs(
+            ['--key=a', 'file', '--key', 'b', '--json', '--name', 'x', '--', '--other'],
+            { key: 'list', name: 'value', json: 'flag' }
+        );
+        expect(options).to.deep.equal({ key: ['a', 'b'], name: 'x', json: true });
+        expect(positional).to.deep.equal(['file', '--other']);
+        expect(() => parseArgs(['--unknown'], {})).to.throw(/Unknown option/);
+        expect(() => parseArgs(['--name'], { name: 'value' })).to.throw(/requires a value/);
+    });
+
+    it('should sign, verify and check manifest', async () => {
+        const pub = path.join(dir, 'key.pub');
+        const sec = path.join(dir, 'key.sec');
+        const file = path.join(dir, 'app 1.2.0.zip');
+        const manifest = path.join(dir, 'manifest.txt');
+        fs.writeFileSync(file, 'contents');
+
+        const keygen = await runCommand('keygen', '--public-key', pub, '--secret-key', sec, '--json');
+        expect(keygen.code).to.equal(0);
+        expect(keygen.result.secretKey).to.equal(undefined);
+        expect(parsePublicKeyFile(fs.readFileSync(pub, 'utf8'))).to.equal(keygen.result.publicKey);
+
+        const sign = await runCommand('sign', '--secret-key', sec, '--version', '1.2.0',
+            '--platform', `mac=${file}`, '--relative-urls', '--mirror', 'https://mirror.example.com/releases',
+            '--release-notes', 'First line\nSecond line', '--format', '2', '--output', manifest, '--json');
+        expect(sign.code).to.equal(0);
+        expect(fs.readFileSync(manifest, 'utf8')).to.equal(sign.result.manifest);
+
+        const verify = await runCommand('verify', '--public-key', keygen.result.publicKey, manifest, '--json');
+        expect(verify.code).to.equal(0);
+        expect(verify.result).to.deep.equal({
+            valid: true,
+            version: '1.2.0',
+            channel: null,
+            format: 2,
+            trustedComments: []
+        });
+
+        const show = await runCommand('show', '--public-key', pub, manifest, '--json');
+        expect(show.code).to.equal(0);
+        expect(show.result.releaseNotes).to.equal('First line\nSecond line');
+        expect(show.result.platforms.mac).to.include({ file: 'app%201.2.0.zip', size: 8 });
+        expect(show.result.platforms.mac.mirrors).to.deep.equal(['https://mirror.example.com/releases/app%201.2.0.zip']);
+
+        const check = await runCommand('check', '--public-key', pub, '--platform', 'mac', manifest, file);
+        expect(check.code).to.equal(0);
+
+        fs.writeFileSync(file, 'modified');
+        const mismatch = await runCommand('check', '--public-key', pub, '--platform', 'mac', manifest, file, '--json');
+        expect(mismatch.code).to.equal(1);
+        expect(mismatch.result).to.deep.equal({
+            error: mismatch.result.error,
+            code: 'verification-failed'
+        });
+        expect(mismatch.result.error).to.match(/Incorrect checksum/);
+
+        const missing = await runCommand('check', '--public-key', pub, '--platform', 'windows', manifest, file);
+        expect(missing.code).to.equal(1);
+        expect(missing.errors[0]).to.match(/no file for windows/);
+    });
+
+    it('should sign manifest with patches', async () => {
+        const sec = path.join(dir, 'key.sec');
+        const file = path.join(dir, 'app-1.2.0.zip');
+        const patch = path.join(dir, 'app-1.1.0-1.2.0.bsdiff');
+        fs.writeFileSync(file, 'contents');
+        fs.writeFileSync(patch, 'patch');
+
+        const keygen = await runCommand('keygen', '--secret-key', sec, '--json');
+        const sign = await runCommand('sign', '--secret-key', sec, '--version', '1.2.0',
+            '--platform', `mac=${file}`, '--patch', `mac:1.1.0=${patch}`,
+            '--base-url', 'https://example.com/releases', '--json');
+        expect(sign.code).to.equal(0);
+        const manifest = path.join(dir, 'manifest.txt');
+        fs.writeFileSync(manifest, sign.result.manifest);
+
+        const show = await runCommand('show', '--public-key', keygen.result.publicKey, manifest, '--json');
+        expect(show.code).to.equal(0);
+        expect(show.result.platforms.mac.patches).to.deep.equal({
+            '1.1.0': {
+                file: 'https://example.com/releases/app-1.1.0-1.2.0.bsdiff',
+                size: 5,
+                sha512: show.result.platforms.mac.patches['1.1.0'].sha512
+            }
+        });
+        expect(show.result.platforms.mac.patches['1.1.0'].sha512).to.match(/^[0-9a-f]{128}$/);
+
+        const invalid = await runCommand('sign', '--secret-key', sec, '--version', '1.2.0',
+            '--platform', `mac=${file}`, '--patch', patch, '--base-url', 'https://example.com/releases');
+        expect(invalid.code).to.equal(2);
+        expect(invalid.errors[0]).to.match(/expected NAME:VERSION=FILE/);
+
+        const badVersion = await runCommand('sign', '--secret-key', sec, '--version', '1.2.0',
+            '--platform', `mac=${file}`, '--patch', `mac:old=${patch}`, '--base-url', 'https://example.com/releases');
+        expect(badVersion.code).to.equal(2);
+        expect(badVersion.errors[0]).to.match(/Invalid version old/);
+    });
+
+    it('should require base URL unless relative URLs are requested', async () => {
+        const sec = path.join(dir, 'key.sec');
+        const file = path.join(dir, 'app.zip');
+        fs.writeFileSync(file, 'contents');
+        await runCommand('keygen', '--secret-key', sec);
+
+        const missing = await runCommand('sign', '--secret-key', sec, '--version', '1.0.0',
+            '--platform', `mac=${file}`, '--json');
+        expect(missing.code).to.equal(2);
+        expect(missing.result.code).to.equal('usage');
+        expect(missing.result.error).to.match(/--base-url is required/);
+
+        const both = await runCommand('sign', '--secret-key', sec, '--version', '1.0.0', '--platform', `mac=${file}`,
+            '--base-url', 'https://example.com/releases', '--relative-urls');
+        expect(both.code).to.equal(2);
+
+        const relative = await runCommand('sign', '--secret-key', sec, '--version', '1.0.0',
+            '--platform', `mac=${file}`, '--relative-urls', '--json');
+        expect(relative.code).to.equal(0);
+        expect(relative.result.manifest).to.match(/^mac-file: app\.zip$/m);
+
+        const absolute = await runCommand('sign', '--secret-key', sec, '--version', '1.0.0',
+            '--platform', `mac=${file}`, '--base-url', 'https://example.com/releases/', '--json');
+        expect(absolute.code).to.equal(0);
+        expect(absolute.result.manifest).to.match(/^mac-file: https:\/\/example\.com\/releases\/app\.zip$/m);
+    });
+
+    it('should sign and verify file', async () => {
+        const pub = path.join(dir, 'key.pub');
+        const sec = path.join(dir, 'key.sec');
+        const file = path.join(dir, 'app.zip');
+        fs.writeFileSync(file, 'contents');
+        await runCommand('keygen', '--public-key', pub, '--secret-key', sec);
+
+        expect((await runCommand('sign-file', '--secret-key', sec, file)).code).to.equal(0);
+        expect(fs.readFileSync(`${file}.sig`, 'utf8')).to.match(/^untrusted comment: verify with .*key\.pub\n/);
+        expect((await runCommand('verify-file', '--public-key', pub, file)).code).to.equal(0);
+
+        expect((await runCommand('sign-file', '--secret-key', sec, '--trusted-comment', 'file:app.zip', file)).code)
+            .to.equal(0);
+        const minisig = await runCommand('verify-file', '--public-key', pub,
+            '--signature', `${file}.minisig`, file, '--json');
+        expect(minisig.result.trustedComment).to.equal('file:app.zip');
+
+        fs.writeFileSync(file, 'modified');
+        const verify = await runCommand('verify-file', '--public-key', pub, file, '--json');
+        expect(verify.code).to.equal(1);
+        expect(verify.result.code).to.equal('verification-failed');
+    });
+
+    it('should fail verification with wrong key', async () => {
+        const manifest = path.join(dir, 'manifest.txt');
+        const file = path.join(dir, 'app.zip');
+        fs.writeFileSync(file, 'contents');
+        const signer = (await runCommand('keygen', '--json')).result;
+        const other = (await runCommand('keygen', '--json')).result;
+        await runCommand('sign', '--secret-key', signer.secretKey, '--version', '1.0.0',
+            '--platform', `windows=${file}`, '--relative-urls', '--output', manifest);
+
+        const verify = await runCommand('verify', '--public-key', other.publicKey, manifest);
+        expect(verify.code).to.equal(1);
+        expect(verify.errors[0]).to.match(/no matching key/);
+
+        const threshold = await runCommand('verify', '--public-key', signer.publicKey,
+            '--public-key', other.publicKey, '--threshold', '2', manifest);
+        expect(threshold.code).to.equal(1);
+    });
+
+    it('should exit with error on bad usage', async () => {
+        expect((await runCommand('unknown')).code).to.equal(2);
+        expect((await runCommand('verify', '--public-key', 'bad', 'manifest.txt')).code).to.equal(2);
+        const sign = await runCommand('sign', '--secret-key', 'x', '--version', 'bad', '--platform', 'mac=a', '--json');
+        expect(sign.code).to.equal(2);
+        expect(sign.result.code).to.equal('usage');
+    });
+});
@@ -3,9 +3,50 @@ const os = require('os');
 const fs = require('fs');
 const crypto = require('crypto');
 const path = require('path');
+const url = require('url');
+const { PassThrough } = require('stream');
 const { fetchJSON, fetchAllJSONPages, fetchFile } = require('../fetch');
+const { createAbortController } = require('../abort');
 const { verifyHash } = require('../hash');
 
+/**
+ * Returns a transport serving the given data, which
+ * supports range requests. The first response is cut
+ * after dropAfter bytes, if given.
+ */
+function createFakeTransport(data, dropAfter) {
+    const transport = (address, options) => {
+        transport.requests.push(options);
+        const m = (options.headers['Range'] || '').match(/^bytes=(\d+)-$/);
+        const start = m ? parseInt(m[1], 10) : 0;
+        const res = new PassThrough();
+        res.statusCode = m ? 206 : 200;
+        res.headers = { 'content-length': String(data.length - start) };
+        if (m) res.headers['content-range'] = `bytes ${start}-${data.length - 1}/${data.length}`;
+        const drop = transport.requests.length === 1 && dropAfter;
+        setImmediate(() => {
+            // Response is destroyed if the caller stopped reading it.
+            if (res.destroyed) return;
+            if (drop) {
+                res.write(data.slice(start, dropAfter));
+                setImmediate(() => res.emit('aborted'));
+            } else {
+                res.end(data.slice(start));
+            }
+        });
+        return Promise.resolve(res);
+    };
+    transport.requests = [];
+    return transport;
+}
+
+function tempFilename() {
+    return path.join(
+        os.tmpdir(),
+        `updater-test-${crypto.randomBytes(8).toString('hex')}.tmp`
+    );
+}
+
 describe('Fetch', () => {
     it('should fetch JSON', () => {
         // XXX: find test endpoint or launch own mock server
@@ -61,4 +102,318 @@ describe('Fetch', () => {
             });
     });
 
+    describe('with transport', () => {
+        const data = crypto.randomBytes(100000);
+        const sha512 = crypto.createHash('sha512').update(data).digest('hex');
+        let dst;
+
+        beforeEach(() => {
+            dst = tempFilename();
+        });
+
+        afterEach(() => {
+            if (fs.existsSync(dst)) fs.unlinkSync(dst);
+        });
+
+        it('should fetch pages with multi-entry Link header', async () => {
+            const page = n => `https://example.com/items?page=${n}`;
+            const pages = {
+                [page(1)]: `<${page(2)}>; rel="next", <${page(3)}>; rel="last"`,
+                [page(2)]: `<${page(1)}>; rel="prev", <${page(3)}>; rel="next", <${page(1)}>; rel="first"`,
+                [page(3)]: `<${page(2)}>; rel="prev", <${page(1)}>; rel="first"`
+            };
+            const transport = address => {
+                const res = new PassThrough();
+                res.statusCode = 200;
+                res.headers = { 'content-type': 'application/json', 'link': pages[address] };
+                res.end(JSON.stringify([url.parse(address, true).query.page]));
+                return Promise.resolve(res);
+            };
+            expect(await fetchAllJSONPages(page(1), { transport })).to.deep.equal(['1', '2', '3']);
+        });
+
+        it('should resume interrupted download', () => {
+            const transport = createFakeTransport(data, 30000);
+            return fetchFile('https://example.com/file', dst, {
+                transport,
+                resume: true,
+                size: data.length,
+                sha512
+            }).then(() => {
+                expect(fs.readFileSync(dst).equals(data)).to.equal(true);
+                expect(transport.requests).to.have.lengthOf(2);
+                expect(transport.requests[1].headers['Range']).to.equal('bytes=30000-');
+            });
+        });
+
+        it('should continue partially downloaded file', () => {
+            fs.writeFileSync(dst, data.slice(0, 12345));
+            const transport = createFakeTransport(data);
+            const progress = [];
+            return fetchFile('https://example.com/file', dst, {
+                transport,
+                resume: true,
+                size: data.length,
+                sha512,
+                onProgress: (transferred, total) => progress.push([transferred, total])
+            }).then(() => {
+                expect(fs.readFileSync(dst).equals(data)).to.equal(true);
+                expect(progress[0]).to.deep.equal([12345, data.length]);
+                expect(progress[progress.length - 1]).to.deep.equal([data.length, data.length]);
+            });
+        });
+
+        it('should append to partial file after 206 response', async () => {
+            fs.writeFileSync(dst, data.slice(0, 12345));
+            const transport = createFakeTransport(data);
+            await fetchFile('https://example.com/file', dst, {
+                transport,
+                resume: true,
+                size: data.length,
+                sha512
+            });
+            expect(transport.requests).to.have.lengthOf(1);
+            expect(transport.requests[0].headers['Range']).to.equal('bytes=12345-');
+            expect(fs.readFileSync(dst).equals(data)).to.equal(true);
+        });
+
+        it('should restart download after 200 response to range request', async () => {
+            // Partial file doesn't match: it must be overwritten, not appended to.
+            fs.writeFileSync(dst, crypto.randomBytes(12345));
+            const requests = [];
+            const transport = (address, options) => {
+                requests.push(options);
+                const res = new PassThrough();
+                res.statusCode = 200;
+                res.headers = { 'content-length': String(data.length) };
+                res.end(data);
+                return Promise.resolve(res);
+            };
+            await fetchFile('https://example.com/file', dst, {
+                transport,
+                resume: true,
+                size: data.length,
+                sha512
+            });
+            expect(requests).to.have.lengthOf(1);
+            expect(requests[0].headers['Range']).to.equal('bytes=12345-');
+            expect(fs.readFileSync(dst).equals(data)).to.equal(true);
+        });
+
+        it('should restart download after 416 response', async () => {
+            fs.writeFileSync(dst, crypto.randomBytes(12345));
+            const requests = [];
+            const transport = (address, options) => {
+                requests.push(options);
+                const res = new PassThrough();
+                if (options.headers['Range']) {
+                    res.statusCode = 416;
+                    res.headers = {};
+                    res.end();
+                } else {
+                    res.statusCode = 200;
+                    res.headers = { 'content-length': String(data.length) };
+                    res.end(data);
+                }
+                return Promise.resolve(res);
+            };
+            await fetchFile('https://example.com/file', dst, {
+                transport,
+                resume: true,
+                size: data.length,
+                sha512
+            });
+            expect(requests.map(r => r.headers['Range'])).to.deep.equal(['bytes=12345-', undefined]);
+            expect(fs.readFileSync(dst).equals(data)).to.equal(true);
+        });
+
+        it('should reject file with incorrect hash', done => {
+            const transport = createFakeTransport(data);
+            fetchFile('https://example.com/file', dst, {
+                transport,
+                resume: true,
+                size: data.length,
+                sha512: sha512.replace(/^./, sha512[0] === '0' ? '1' : '0')
+            })
+                .then(() => done(new Error('Expected promise to reject due to bad hash')))
+                .catch(err => {
+                    expect(err.code).to.equal('verification-failed');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should abort download larger than expected', done => {
+            const transport = createFakeTransport(data);
+            fetchFile('https://example.com/file', dst, { transport, size: 1000 })
+                .then(() => done(new Error('Expected promise to reject due to size')))
+                .catch(err => {
+                    expect(err.code).to.equal('verification-failed');
+                    done();
+                })
+                .catch(done);
+        });
+
+        /**
+         * Returns a transport sending the given chunks
+         * one by one with the given headers.
+         */
+        function createChunksTransport(chunks, headers = {}) {
+            return () => {
+                const res = new PassThrough();
+                res.statusCode = 200;
+                res.headers = headers;
+                const send = i => {
+                    // Stop sending once the caller destroyed the response.
+                    if (res.destroyed) return;
+                    if (i === chunks.length) {
+                        res.end();
+                        return;
+                    }
+                    res.write(chunks[i]);
+                    setImmediate(() => send(i + 1));
+                };
+                setImmediate(() => send(0));
+                return Promise.resolve(res);
+            };
+        }
+
+        it('should stop writing when receiving more than expected', async () => {
+            // No Content-Length, so the size is only known while streaming.
+            const transport = createChunksTransport([data.slice(0, 600), data.slice(600, 1200), data.slice(1200)]);
+            try {
+                await fetchFile('https://example.com/file', dst, { transport, resume: true, size: 1000 });
+                throw new Error('Expected promise to reject due to size');
+            } catch (err) {
+                expect(err.code).to.equal('verification-failed');
+                expect(err.message).to.match(/received more than expected 1000 bytes/);
+            }
+            // The chunk that exceeded the size didn't reach the file.
+            expect(fs.readFileSync(dst).equals(data.slice(0, 600))).to.equal(true);
+        });
+
+        it('should reject Content-Length different from expected size', async () => {
+            const transport = createChunksTransport([data], { 'content-length': String(data.length + 1) });
+            try {
+                await fetchFile('https://example.com/file', dst, { transport, size: data.length, sha512 });
+                throw new Error('Expected promise to reject due to size');
+            } catch (err) {
+                expect(err.code).to.equal('verification-failed');
+                expect(err.message).to.match(/server reported 100001/);
+            }
+        });
+
+        it('should reject streamed data with incorrect hash', async () => {
+            const corrupted = Buffer.from(data);
+            corrupted[50000] ^= 1;
+            const transport = createChunksTransport([corrupted.slice(0, 40000), corrupted.slice(40000)], {
+                'content-length': String(data.length)
+            });
+            try {
+                await fetchFile('https://example.com/file', dst, { transport, size: data.length, sha512 });
+                throw new Error('Expected promise to reject due to hash');
+            } catch (err) {
+                expect(err.code).to.equal('verification-failed');
+                expect(err.message).to.match(/Incorrect checksum/);
+            }
+        });
+
+        it('should stop retrying when aborted', async () => {
+            const controller = createAbortController();
+            const requests = [];
+            const transport = address => {
+                requests.push(address);
+                setImmediate(() => controller.abort());
+                return Promise.reject(new Error('Connection refused'));
+            };
+            try {
+                await fetchJSON('https://example.com/file.json', { transport, signal: controller.signal });
+                throw new Error('Expected promise to reject due to abort');
+            } catch (err) {
+                expect(err.code).to.equal('aborted');
+            }
+            expect(requests).to.have.lengthOf(1);
+        });
+
+        it('should keep partially downloaded file when aborted', async () => {
+            const controller = createAbortController();
+            const transport = () => {
+                const res = new PassThrough();
+                res.statusCode = 200;
+                res.headers = { 'content-length': String(data.length) };
+                // Send a part of data and stall.
+                setImmediate(() => res.write(data.slice(0, 30000)));
+                return Promise.resolve(res);
+            };
+            try {
+                await fetchFile('https://example.com/file', dst, {
+                    transport,
+                    signal: controller.signal,
+                    resume: true,
+                    size: data.length,
+                    sha512,
+                    onProgress: transferred => {
+                        if (transferred >= 30000) setImmediate(() => controller.abort());
+                    }
+                });
+                throw new Error('Expected promise to reject due to abort');
+            } catch (err) {
+                expect(err.code).to.equal('aborted');
+            }
+            expect(fs.readFileSync(dst).equals(data.slice(0, 30000))).to.equal(true);
+        });
+    });
+
+    describe('with local files', () => {
+        const data = crypto.randomBytes(100000);
+        const sha512 = crypto.createHash('sha512').update(data).digest('hex');
+        let src, dst;
+
+        beforeEach(() => {
+            src = tempFilename();
+            dst = tempFilename();
+            fs.writeFileSync(src, data);
+        });
+
+        afterEach(() => {
+            [src, dst].forEach(file => {
+                if (fs.existsSync(file)) fs.unlinkSync(file);
+            });
+        });
+
+        it('should continue partially copied file', () => {
+            fs.writeFileSync(dst, data.slice(0, 12345));
+            return fetchFile(url.pathToFileURL(src).href, dst, {
+                resume: true,
+                size: data.length,
+                sha512
+            }).then(() => {
+                expect(fs.readFileSync(dst).equals(data)).to.equal(true);
+            });
+        });
+
+        it('should limit download rate', () => {
+            // File is read in 64 KiB chunks, the second one
+            // must wait for ~0.3 seconds at this rate.
+            const start = Date.now();
+            return fetchFile(url.pathToFileURL(src).href, dst, {
+                size: data.length,
+                sha512,
+                maxRate: 200000
+            }).then(() => {
+                expect(Date.now() - start).to.be.at.least(250);
+                expect(fs.readFileSync(dst).equals(data)).to.equal(true);
+            });
+        });
+
+        it('should reject missing file', done => {
+            fetchFile(url.pathToFileURL(src + '.missing').href, dst)
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(err => {
+                    expect(err.message).to.match(/^Not found/);
+                    done();
+                })
+                .catch(done);
+        });
+    });
 });
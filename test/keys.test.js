@@ -0,0 +1,42 @@
+const expect = require('chai').expect;
+const { generateKeyPair } = require('../signing');
+const { isKeyValid, getValidKeys, applyKeyUpdate, validateKey } = require('../keys');
+
+describe('Keys', () => {
+    const now = new Date('2019-06-01T00:00:00Z');
+    const a = generateKeyPair().publicKey;
+    const b = generateKeyPair().publicKey;
+    const c = generateKeyPair().publicKey;
+
+    it('should check validity window', () => {
+        expect(isKeyValid(a, now)).to.equal(true);
+        expect(isKeyValid({ key: a }, now)).to.equal(true);
+        expect(isKeyValid({ key: a, notBefore: '2019-01-01T00:00:00Z' }, now)).to.equal(true);
+        expect(isKeyValid({ key: a, notBefore: '2019-07-01T00:00:00Z' }, now)).to.equal(false);
+        expect(isKeyValid({ key: a, notAfter: '2019-07-01T00:00:00Z' }, now)).to.equal(true);
+        expect(isKeyValid({ key: a, notAfter: '2019-05-01T00:00:00Z' }, now)).to.equal(false);
+        expect(isKeyValid({ key: a, revoked: true }, now)).to.equal(false);
+    });
+
+    it('should apply key update', () => {
+        const keySet = applyKeyUpdate([a, { key: b }], {
+            add: [{ key: c, notBefore: '2019-01-01T00:00:00Z' }, { key: a, notAfter: '2019-05-01T00:00:00Z' }],
+            revoke: [b]
+        });
+        expect(keySet).to.have.lengthOf(3);
+        expect(getValidKeys(keySet, now)).to.deep.equal([c]);
+    });
+
+    it('should not unrevoke keys', () => {
+        const revoked = applyKeyUpdate([a], { revoke: [a] });
+        const keySet = applyKeyUpdate(revoked, { add: [{ key: a }] });
+        expect(getValidKeys(keySet, now)).to.deep.equal([]);
+    });
+
+    it('should validate keys', () => {
+        validateKey(a);
+        validateKey({ key: a, notAfter: '2020-01-01T00:00:00Z' });
+        expect(() => validateKey('bad key')).to.throw(/Invalid public key/);
+        expect(() => validateKey({ key: a, notBefore: 'yesterday' })).to.throw(/Invalid key validity date/);
+    });
+});
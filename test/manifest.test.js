@@ -1,5 +1,5 @@
 const expect = require('chai').expect;
-const { generateKeyPair } = require('../signing');
+const { generateKeyPair, sign } = require('../signing');
 const Manifest = require('../manifest');
 
 describe('Manifest', () => {
@@ -67,4 +67,264 @@ describe('Manifest', () => {
         expect(p.isMandatorySince('1.1.0')).to.equal(false);
         expect(p.isMandatorySince('1.1.1')).to.equal(false);
     });
+
+    it('should reject expired manifest', () => {
+        const keys = generateKeyPair();
+        const m = new Manifest();
+        m.version = '1.2.0';
+        m.date = new Date('2018-01-01T00:00:00Z');
+        m.expires = new Date('2018-01-08T00:00:00Z');
+        const serialized = m.serialize(keys.secretKey);
+
+        const p = Manifest.loadFromString([keys.publicKey], serialized, {
+            now: new Date('2018-01-07T00:00:00Z')
+        });
+        expect(p.expires.toISOString()).to.equal('2018-01-08T00:00:00.000Z');
+
+        // Within clock skew tolerance.
+        Manifest.loadFromString([keys.publicKey], serialized, {
+            now: new Date('2018-01-08T00:30:00Z'),
+            clockSkew: 60 * 60 * 1000
+        });
+
+        let err;
+        try {
+            Manifest.loadFromString([keys.publicKey], serialized, {
+                now: new Date('2018-01-08T00:30:00Z'),
+                clockSkew: 0
+            });
+        } catch (ex) {
+            err = ex;
+        }
+        expect(err).to.be.an('error');
+        expect(err.code).to.equal('manifest-expired');
+    });
+
+    it('should verify at signed date', () => {
+        const keys = generateKeyPair();
+        const publicKeys = [{ key: keys.publicKey, notAfter: '2018-01-05T00:00:00Z' }];
+        const m = new Manifest();
+        m.version = '1.2.0';
+        m.date = new Date('2018-01-01T00:00:00Z');
+        m.expires = new Date('2018-01-08T00:00:00Z');
+        const serialized = m.serialize(keys.secretKey);
+
+        // Both key and manifest have expired by now.
+        expect(() => Manifest.loadFromString(publicKeys, serialized)).to.throw(/revoked or expired/);
+        const p = Manifest.loadFromString(publicKeys, serialized, { atSignedDate: true });
+        expect(p.version).to.equal('1.2.0');
+
+        m.data.date = '';
+        const undated = m.serialize(keys.secretKey);
+        expect(() => Manifest.loadFromString(publicKeys, undated, { atSignedDate: true })).to.throw(/no valid date/);
+    });
+
+    it('should not allow changing expiration date', () => {
+        const keys = generateKeyPair();
+        const m = new Manifest();
+        m.version = '1.2.0';
+        m.expires = new Date('2018-01-08T00:00:00Z');
+        const serialized = m.serialize(keys.secretKey)
+            .replace('2018-01-08', '2099-01-08');
+        expect(() => {
+            Manifest.loadFromString([keys.publicKey], serialized);
+        }).to.throw(/Invalid signature/);
+    });
+
+    it('should serialize key updates', () => {
+        const keys = generateKeyPair();
+        const next = generateKeyPair();
+        const m = new Manifest();
+        m.version = '1.2.0';
+        m.addedKeys = [{ key: next.publicKey, notBefore: '2019-01-01T00:00:00Z' }];
+        m.revokedKeys = [keys.publicKey];
+        const serialized = m.serialize(keys.secretKey);
+
+        const p = Manifest.loadFromString([keys.publicKey], serialized);
+        expect(p.getKeyUpdate()).to.deep.equal({
+            add: [{ key: next.publicKey, notBefore: '2019-01-01T00:00:00.000Z' }],
+            revoke: [keys.publicKey]
+        });
+    });
+
+    it('should verify threshold signatures', () => {
+        const keys1 = generateKeyPair();
+        const keys2 = generateKeyPair();
+        const keys3 = generateKeyPair();
+        const publicKeys = [keys1.publicKey, keys2.publicKey, keys3.publicKey];
+        const m = new Manifest();
+        m.version = '1.2.0';
+
+        const twoSigs = m.serialize([keys1.secretKey, keys3.secretKey]);
+        const p = Manifest.loadFromString(publicKeys, twoSigs, { threshold: 2 });
+        expect(p.version).to.equal('1.2.0');
+
+        // Same key twice doesn't count.
+        const sameSigs = m.serialize([keys1.secretKey, keys1.secretKey]);
+        expect(() => {
+            Manifest.loadFromString(publicKeys, sameSigs, { threshold: 2 });
+        }).to.throw(/1 of 2 required signatures/);
+
+        const oneSig = m.serialize(keys2.secretKey);
+        expect(() => {
+            Manifest.loadFromString(publicKeys, oneSig, { threshold: 2 });
+        }).to.throw(/1 of 2 required signatures/);
+
+        // Unknown key signatures are ignored.
+        const unknownSig = m.serialize([generateKeyPair().secretKey, keys2.secretKey]);
+        Manifest.loadFromString(publicKeys, unknownSig);
+    });
+
+    it('should verify minisign signatures with trusted comments', () => {
+        const keys1 = generateKeyPair();
+        const keys2 = generateKeyPair();
+        const m = new Manifest();
+        m.version = '1.2.0';
+
+        const minisign = m.serialize(keys1.secretKey, undefined, undefined, 'release 1.2.0');
+        const signify = m.serialize(keys2.secretKey);
+        // Comment, signify signature, then minisign signature and text.
+        const lines = minisign.split('\n');
+        const mixed = [lines[0], signify.split('\n')[1]].concat(lines.slice(1)).join('\n');
+        const p = Manifest.loadFromString([keys1.publicKey, keys2.publicKey], mixed, { threshold: 2 });
+        expect(p.version).to.equal('1.2.0');
+        expect(p.trustedComments).to.deep.equal(['release 1.2.0']);
+
+        // Signature lines with CRLF line endings.
+        const crlf = lines.slice(0, 4).join('\r\n') + '\r\n' + lines.slice(4).join('\n');
+        expect(Manifest.loadFromString([keys1.publicKey], crlf).trustedComments).to.deep.equal(['release 1.2.0']);
+
+        expect(() => {
+            Manifest.loadFromString([keys1.publicKey], minisign.replace('release 1.2.0', 'release 9.9.9'));
+        }).to.throw(/trusted comment/);
+    });
+
+    it('should apply targeting rules', () => {
+        const keys = generateKeyPair();
+        const m = new Manifest('mac');
+        m.version = '1.2.0';
+        m.rollout = 20;
+        m.targetPlatforms = ['mac', 'windows'];
+        m.targetMinVersion = '1.1.0';
+        m.targetInstallIds = ['tester'];
+        const p = Manifest.loadFromString([keys.publicKey], m.serialize(keys.secretKey));
+        p.platform = 'mac';
+
+        expect(p.rollout).to.equal(20);
+        expect(p.isOfferedTo({ version: '1.1.0', bucket: 19.9 })).to.equal(true);
+        expect(p.isOfferedTo({ version: '1.1.0', bucket: 20 })).to.equal(false);
+        expect(p.isOfferedTo({ version: '1.1.0', bucket: 99, id: 'tester' })).to.equal(true);
+        expect(p.isOfferedTo({ version: '1.0.0', bucket: 0, id: 'tester' })).to.equal(false);
+        expect(p.isOfferedTo({ version: '1.1.0', bucket: 0, platform: 'linux-x64' })).to.equal(false);
+    });
+
+    it('should offer update to everyone by default', () => {
+        const m = new Manifest('mac');
+        m.version = '1.2.0';
+        expect(m.isOfferedTo({ version: '1.0.0', bucket: 99.99 })).to.equal(true);
+    });
+
+    it('should compare prerelease versions in channel', () => {
+        const keys = generateKeyPair();
+        const m = new Manifest();
+        m.version = '1.2.0-beta.2';
+        m.channel = 'beta';
+        const p = Manifest.loadFromString([keys.publicKey], m.serialize(keys.secretKey));
+        expect(p.channel).to.equal('beta');
+        expect(p.isNewerVersionThan('1.2.0-beta.1')).to.equal(true);
+        expect(p.isNewerVersionThan('1.2.0-beta.2')).to.equal(false);
+        expect(p.isNewerVersionThan('1.2.0')).to.equal(false);
+        expect(p.isNewerVersionThan('1.1.9')).to.equal(true);
+
+        // Manifests without channel ignore prerelease tags.
+        const legacy = new Manifest();
+        legacy.version = '1.2.0-beta.2';
+        expect(legacy.channel).to.equal(null);
+        expect(legacy.isNewerVersionThan('1.2.0-beta.1')).to.equal(false);
+    });
+
+    it('should get version channel', () => {
+        expect(Manifest.getVersionChannel('1.2.0')).to.equal('stable');
+        expect(Manifest.getVersionChannel('1.2.0-beta.1')).to.equal('beta');
+        expect(Manifest.getVersionChannel('1.2.0-nightly')).to.equal('nightly');
+        expect(Manifest.getVersionChannel('1.2.0-staging')).to.equal(null);
+        expect(Manifest.getVersionChannel('1.2.0-alpha.1', ['alpha'])).to.equal('alpha');
+    });
+
+    it('should create and load JSON manifest', () => {
+        const keys = generateKeyPair();
+        const m = new Manifest();
+        m.version = '1.2.3';
+        m.date = new Date();
+        m.rollout = 50;
+        m.targetPlatforms = ['mac', 'linux-x64'];
+        m.addedKeys = [{ key: generateKeyPair().publicKey, notBefore: '2020-01-01T00:00:00.000Z' }];
+        m.setFile('linux-x64', 'https://example.com/file.AppImage');
+        m.setSha512('linux-x64', '876811d9f53cbbf8be653a37ac6b53d3dfd401c9dfecf202a1875997548455ed3ad0f52d0503af79a6c730c5074d125df7de19e40380a4a3c03568ad831a82e4');
+        m.setSize('linux-x64', 1024);
+        m.setMirrors('linux-x64', ['https://mirror1.example.com/file.AppImage', 'https://mirror2.example.com/file.AppImage']);
+        m.setPatch('linux-x64', '1.2.0-beta.1', {
+            file: 'https://example.com/file.patch',
+            size: 100,
+            sha512: '109fff3200ca1171f03e4cb817268fdf440328efc394c6b1dd0cc72c2c6b9e8c4ceb26af5d345011367e034112c102991393c504b1629080105a1936ee634479'
+        });
+
+        const lines = Manifest.loadFromString([keys.publicKey], m.serialize(keys.secretKey, Manifest.FORMAT_V1));
+
+        m.releaseNotes = 'Bug fixes:\n- Fixed "quotes"\n- Fixed crash';
+        const serialized = m.serialize(keys.secretKey, Manifest.FORMAT_V2);
+        const json = JSON.parse(serialized.split('\n').slice(3).join('\n'));
+        expect(json.format).to.equal(2);
+        expect(json.rollout).to.equal(50);
+        expect(json.target.platforms).to.deep.equal(['mac', 'linux-x64']);
+        expect(json.platforms['linux-x64'].size).to.equal(1024);
+        expect(json.platforms['linux-x64'].mirrors).to.have.lengthOf(2);
+        expect(json.platforms['linux-x64'].patches['1.2.0-beta.1'].size).to.equal(100);
+
+        const p = Manifest.loadFromString([keys.publicKey], serialized);
+        expect(p.format).to.equal(Manifest.FORMAT_V2);
+        // Both formats are loaded into the same data.
+        expect(p.data).to.deep.equal(Object.assign({ 'release-notes': m.releaseNotes }, lines.data));
+        expect(p.releaseNotes).to.equal(m.releaseNotes);
+        expect(p.getPatch('linux-x64', '1.2.0-beta.1')).to.deep.equal(m.getPatch('linux-x64', '1.2.0-beta.1'));
+
+        // Loaded manifest is serialized in the same format.
+        expect(p.serialize(keys.secretKey)).to.equal(serialized);
+    });
+
+    it('should return file URLs with mirrors', () => {
+        const keys = generateKeyPair();
+        const m = new Manifest();
+        m.version = '1.2.3';
+        m.setFile('mac', 'https://example.com/file-mac.zip');
+        m.setMirrors('mac', ['https://mirror.example.com/file-mac.zip', 'https://example.com/file-mac.zip']);
+        const p = Manifest.loadFromString([keys.publicKey], m.serialize(keys.secretKey));
+        expect(p.getFileURLs('mac')).to.deep.equal([
+            'https://example.com/file-mac.zip',
+            'https://mirror.example.com/file-mac.zip'
+        ]);
+        expect(p.getFileURLs('windows')).to.deep.equal([]);
+    });
+
+    it('should not serialize line breaks in line-based manifest', () => {
+        const keys = generateKeyPair();
+        const m = new Manifest();
+        m.version = '1.2.3';
+        m.releaseNotes = 'One\nTwo';
+        expect(() => m.serialize(keys.secretKey)).to.throw(/line break/);
+    });
+
+    it('should reject non-canonical JSON manifest', () => {
+        const keys = generateKeyPair();
+        const text = '\n{ "format": 2, "version": "1.2.3" }\n';
+        const serialized = `untrusted comment: test\n${sign(keys.secretKey, text)}\n${text}`;
+        expect(() => Manifest.loadFromString([keys.publicKey], serialized)).to.throw(/not canonical/);
+    });
+
+    it('should reject JSON manifest with unsupported format', () => {
+        const keys = generateKeyPair();
+        const text = '\n{"format":3,"version":"1.2.3"}\n';
+        const serialized = `untrusted comment: test\n${sign(keys.secretKey, text)}\n${text}`;
+        expect(() => Manifest.loadFromString([keys.publicKey], serialized)).to.throw(/Unsupported/);
+    });
 });
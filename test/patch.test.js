@@ -0,0 +1,140 @@
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const rimraf = require('rimraf');
+const { MAGIC, applyPatch } = require('../patch');
+
+// Patches below were created in BSDIFF40 format with bzip2-compressed
+// blocks from the control triples and blocks given in comments.
+
+// Control: [0, 0, 6], [5, 1, -11], [5, 1, 0].
+// Diff: 'W' - 'w', then 9 zero bytes. Extra: ' !'.
+const HELLO_PATCH = 'QlNESUZGNDA1AAAAAAAAACkAAAAAAAAADAAAAAAAAABCWmg5MUFZJlNZn+63wAAAA0BAewxAACAAISQT01CDJiH4emahDKRUl4T4u5IpwoSE/3W+AEJaaDkxQVkmU1nwzmqAAAACwAFCAEAAIAAhJkGYkLi7kinChIeGc1QAQlpoOTFBWSZTWUMJBvMAAAAQAGAAIAAhAIKxdyRThQkEMJBvMA==';
+
+// Control: [5, 0, 0]. Diff: 2 zero bytes. Extra: empty.
+const SHORT_DIFF_PATCH = 'QlNESUZGNDApAAAAAAAAACUAAAAAAAAABQAAAAAAAABCWmg5MUFZJlNZDIN1CAAAAmAAQgAIACAAMMwM9QXOLuSKcKEgGQbqEEJaaDkxQVkmU1n/SJuCAAAAwABAACAAIRhGwu5IpwoSH+kTcEBCWmg5F3JFOFCQAAAAAA==';
+
+// Control: [200000, 100000, 0].
+// Diff: 1 at every 1000th byte, zero otherwise.
+// Extra: 'extra data ' repeated to 100000 bytes.
+const LARGE_PATCH = 'QlNESUZGNDAzAAAAAAAAADQAAAAAAAAA4JMEAAAAAABCWmg5MUFZJlNZNg6trwAABsRQaCJAAAEAQAAgACIZG1BDAht1Yog48XckU4UJA2Dq2vBCWmg5MUFZJlNZRZqG/gAGo8AB4AABAAAIIAAwzTQKUHCkaItBSOEWAi8XckU4UJBFmob+QlpoOTFBWSZTWZHB9H0AaoiRgEAAJgAUQCAAcEMAFKhoakCoZQKh2gVDKBUMoFQzSBUOUCoboFQ9QKh6gVD4u5IpwoSEjg+j6A==';
+
+/**
+ * Writes 8-byte sign-magnitude little-endian integer
+ * like the ones in patch header and control block.
+ */
+function writeOffset(buf, pos, value) {
+    const y = Math.abs(value);
+    buf.writeUInt32LE(y % 0x100000000, pos);
+    buf.writeUInt32LE(Math.floor(y / 0x100000000) + (value < 0 ? 0x80000000 : 0), pos + 4);
+}
+
+describe('Patch', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = path.join(os.tmpdir(), `patch-test-${crypto.randomBytes(8).toString('hex')}`);
+        fs.mkdirSync(directory);
+    });
+
+    afterEach(() => {
+        rimraf.sync(directory);
+    });
+
+    /**
+     * Applies patch to old data and returns new data.
+     */
+    async function patch(oldData, patchData) {
+        const oldFile = path.join(directory, 'old');
+        const patchFile = path.join(directory, 'patch');
+        const newFile = path.join(directory, 'new');
+        fs.writeFileSync(oldFile, oldData);
+        fs.writeFileSync(patchFile, patchData);
+        await applyPatch(oldFile, patchFile, newFile);
+        return fs.readFileSync(newFile);
+    }
+
+    it('should apply patch', async () => {
+        const newData = await patch(Buffer.from('hello world'), Buffer.from(HELLO_PATCH, 'base64'));
+        expect(newData.toString()).to.equal('World hello!');
+    });
+
+    it('should apply patch larger than chunk size', async () => {
+        const oldData = Buffer.alloc(200000);
+        for (let i = 0; i < oldData.length; i++) {
+            oldData[i] = i % 251;
+        }
+        const expected = Buffer.concat([oldData, Buffer.from('extra data '.repeat(10000).slice(0, 100000))]);
+        for (let i = 0; i < oldData.length; i += 1000) {
+            expected[i] = (expected[i] + 1) & 0xff;
+        }
+        const newData = await patch(oldData, Buffer.from(LARGE_PATCH, 'base64'));
+        expect(newData.equals(expected)).to.equal(true);
+    });
+
+    it('should reject patch with bad header', async () => {
+        try {
+            await patch(Buffer.from('hello'), Buffer.from('BSDIFFGZ' + '\0'.repeat(24)));
+            throw new Error('Expected patch to fail');
+        } catch (err) {
+            expect(err.message).to.match(/bad header/);
+        }
+    });
+
+    it('should reject patch with blocks past the end of file', async () => {
+        const data = Buffer.from(HELLO_PATCH, 'base64').slice(0, 60);
+        try {
+            await patch(Buffer.from('hello world'), data);
+            throw new Error('Expected patch to fail');
+        } catch (err) {
+            expect(err.message).to.match(/bad header/);
+        }
+    });
+
+    it('should reject patch with corrupt compressed block', async () => {
+        const data = Buffer.from(HELLO_PATCH, 'base64');
+        data.fill(0, 32 + 10, 32 + 20);
+        try {
+            await patch(Buffer.from('hello world'), data);
+            throw new Error('Expected patch to fail');
+        } catch (err) {
+            expect(err.message).to.match(/bad compressed block/);
+        }
+    });
+
+    it('should reject patch reading past the end of diff', async () => {
+        try {
+            await patch(Buffer.from('hello'), Buffer.from(SHORT_DIFF_PATCH, 'base64'));
+            throw new Error('Expected patch to fail');
+        } catch (err) {
+            expect(err.message).to.match(/bad diff length/);
+        }
+    });
+
+    it('should reject patch with negative lengths in header', async () => {
+        const header = Buffer.alloc(32);
+        header.write(MAGIC, 0, 'latin1');
+        writeOffset(header, 8, -1);
+        writeOffset(header, 16, 0);
+        writeOffset(header, 24, 5);
+        try {
+            await patch(Buffer.from('hello'), header);
+            throw new Error('Expected patch to fail');
+        } catch (err) {
+            expect(err.message).to.match(/bad header/);
+        }
+    });
+
+    it('should reject patch reading past the end of control block', async () => {
+        const data = Buffer.from(HELLO_PATCH, 'base64');
+        writeOffset(data, 24, 100);
+        try {
+            await patch(Buffer.from('hello world'), data);
+            throw new Error('Expected patch to fail');
+        } catch (err) {
+            expect(err.message).to.match(/unexpected end of control block/);
+        }
+    });
+});
@@ -0,0 +1,97 @@
+const expect = require('chai').expect;
+const { PassThrough } = require('stream');
+const {
+    createGitHubProvider,
+    createGitLabProvider,
+    createS3Provider,
+    getProviderForURL
+} = require('../providers');
+
+/**
+ * Returns a transport serving the given responses, which is an
+ * object mapping URLs to text or JSON-serializable values.
+ */
+function createResponsesTransport(responses) {
+    return address => {
+        const res = new PassThrough();
+        const body = responses[address];
+        res.statusCode = body == null ? 404 : 200;
+        res.headers = {};
+        if (body != null && typeof body !== 'string') {
+            res.headers['content-type'] = 'application/json';
+        }
+        res.end(body == null ? '' : typeof body === 'string' ? body : JSON.stringify(body));
+        return Promise.resolve(res);
+    };
+}
+
+function createContext(responses, currentVersion = '1.0.0', channel = 'stable') {
+    return {
+        currentVersion,
+        channel,
+        switchingChannel: false,
+        fetchOptions: { transport: createResponsesTransport(responses) }
+    };
+}
+
+describe('Providers', () => {
+    it('should find provider for URL', () => {
+        expect(getProviderForURL('https://example.com/manifest.txt')).to.equal(null);
+        expect(getProviderForURL('github:owner/repo').location).to.equal('owner/repo');
+        const custom = { fetchManifest: () => Promise.resolve(null) };
+        expect(getProviderForURL('custom:x', { custom }).provider).to.equal(custom);
+        expect(() => getProviderForURL('unknown:x')).to.throw(/No provider/);
+    });
+
+    it('should fetch manifest from GitHub', async () => {
+        const provider = createGitHubProvider();
+        const manifest = await provider.fetchManifest('owner/repo', createContext({
+            'https://api.github.com/repos/owner/repo/releases/latest': {
+                tag_name: '1.1.0',
+                assets: [{ name: 'manifest.txt', browser_download_url: 'https://example.com/manifest.txt' }]
+            },
+            'https://example.com/manifest.txt': 'manifest'
+        }));
+        expect(manifest).to.deep.equal({ text: 'manifest', url: 'https://example.com/manifest.txt' });
+    });
+
+    it('should fetch manifest from GitLab in channel', async () => {
+        const link = name => ({ name: 'manifest.txt', url: `https://gitlab.example.com/${name}` });
+        const provider = createGitLabProvider({ url: 'https://gitlab.example.com/' });
+        const responses = {
+            'https://gitlab.example.com/api/v4/projects/group%2Fproject/releases': [
+                { tag_name: '1.3.0-nightly.1', assets: { links: [link('nightly.txt')] } },
+                { tag_name: '1.2.0-beta.1', assets: { links: [link('beta.txt')] } },
+                { tag_name: '1.1.0', assets: { links: [link('stable.txt')] } },
+                { tag_name: '1.4.0', upcoming_release: true, assets: { links: [] } }
+            ],
+            'https://gitlab.example.com/beta.txt': 'beta manifest',
+            'https://gitlab.example.com/stable.txt': 'stable manifest'
+        };
+        expect(await provider.fetchManifest('group/project', createContext(responses, '1.0.0', 'beta')))
+            .to.deep.equal({ text: 'beta manifest', url: 'https://gitlab.example.com/beta.txt' });
+        expect(await provider.fetchManifest('group/project', createContext(responses, '1.0.0')))
+            .to.deep.equal({ text: 'stable manifest', url: 'https://gitlab.example.com/stable.txt' });
+        expect(await provider.fetchManifest('group/project', createContext(responses, '1.1.0')))
+            .to.equal(null);
+    });
+
+    it('should fetch manifest from S3 bucket', async () => {
+        const provider = createS3Provider({ endpoint: 'https://s3.example.com' });
+        const list = (prefixes, next) => '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>' +
+            prefixes.map(p => `<CommonPrefixes><Prefix>releases/${p}/</Prefix></CommonPrefixes>`).join('') +
+            (next ? `<IsTruncated>true</IsTruncated><NextContinuationToken>${next}</NextContinuationToken>` : '') +
+            '</ListBucketResult>';
+        const manifest = await provider.fetchManifest('bucket/releases', createContext({
+            'https://s3.example.com/bucket/?list-type=2&delimiter=%2F&prefix=releases%2F':
+                list(['1.0.0', '1.2.0'], 'a&amp;b'),
+            'https://s3.example.com/bucket/?list-type=2&delimiter=%2F&prefix=releases%2F&continuation-token=a%26b':
+                list(['1.1.0', '1.3.0-beta.1', 'other']),
+            'https://s3.example.com/bucket/releases/1.2.0/manifest.txt': 'manifest'
+        }));
+        expect(manifest).to.deep.equal({
+            text: 'manifest',
+            url: 'https://s3.example.com/bucket/releases/1.2.0/manifest.txt'
+        });
+    });
+});
@@ -1,5 +1,11 @@
 const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const nacl = require('tweetnacl');
 const signing = require('../signing');
+const Manifest = require('../manifest');
 
 describe('Signing', () => {
 
@@ -59,4 +65,157 @@ describe('Signing', () => {
         }).to.throw(/Invalid signature/);
     });
 
+    it('should not verify with revoked key', () => {
+        const keys = signing.generateKeyPair();
+        const msg = "Hello world";
+        const sig = signing.sign(keys.secretKey, msg);
+        expect(() => {
+            signing.verify([{ key: keys.publicKey, revoked: true }], sig, msg);
+        }).to.throw(/revoked or expired/);
+    });
+
+    it('should verify within key validity window only', () => {
+        const keys = signing.generateKeyPair();
+        const msg = "Hello world";
+        const sig = signing.sign(keys.secretKey, msg);
+        const publicKeys = [{
+            key: keys.publicKey,
+            notBefore: '2019-01-01T00:00:00Z',
+            notAfter: '2020-01-01T00:00:00Z'
+        }];
+        signing.verify(publicKeys, sig, msg, new Date('2019-06-01T00:00:00Z'));
+        expect(() => {
+            signing.verify(publicKeys, sig, msg, new Date('2020-06-01T00:00:00Z'));
+        }).to.throw(/revoked or expired/);
+        expect(() => {
+            signing.verify(publicKeys, sig, msg, new Date('2018-06-01T00:00:00Z'));
+        }).to.throw(/revoked or expired/);
+    });
+
+    it('should sign with encrypted key', () => {
+        // Use fewer kdf rounds to make tests faster.
+        const keys = signing.generateKeyPair('passphrase', 2);
+        const msg = "Hello world";
+        expect(signing.isSecretKeyEncrypted(keys.secretKey)).to.equal(true);
+        expect(() => signing.sign(keys.secretKey, msg)).to.throw(/passphrase required/);
+        expect(() => signing.sign(keys.secretKey, msg, 'wrong')).to.throw(/Incorrect passphrase/);
+        signing.verify([keys.publicKey], signing.sign(keys.secretKey, msg, 'passphrase'), msg);
+        signing.verify([keys.publicKey], signing.sign(keys.secretKey, msg, () => 'passphrase'), msg);
+    });
+
+    it('should encrypt key and change passphrase', () => {
+        const keys = signing.generateKeyPair();
+        const msg = "Hello world";
+        expect(signing.isSecretKeyEncrypted(keys.secretKey)).to.equal(false);
+        expect(() => signing.encryptSecretKey(keys.secretKey, '')).to.throw(/must not be empty/);
+
+        const encrypted = signing.encryptSecretKey(keys.secretKey, 'old', 2);
+        expect(() => signing.encryptSecretKey(encrypted, 'new', 2)).to.throw(/already encrypted/);
+        const changed = signing.changePassphrase(encrypted, 'old', 'new', 2);
+        expect(() => signing.sign(changed, msg, 'old')).to.throw(/Incorrect passphrase/);
+        signing.verify([keys.publicKey], signing.sign(changed, msg, 'new'), msg);
+
+        const decrypted = signing.decryptSecretKey(changed, 'new');
+        expect(signing.isSecretKeyEncrypted(decrypted)).to.equal(false);
+        signing.verify([keys.publicKey], signing.sign(decrypted, msg), msg);
+    });
+
+    it('should read and write signify files', () => {
+        const keys = signing.generateKeyPair();
+        const pub = signing.formatPublicKeyFile(keys.publicKey);
+        expect(pub).to.equal(`untrusted comment: signify public key\n${keys.publicKey}\n`);
+        expect(signing.parsePublicKeyFile(pub)).to.equal(keys.publicKey);
+        expect(signing.normalizePublicKey(pub)).to.equal(keys.publicKey);
+        expect(signing.normalizePublicKey(keys.publicKey)).to.equal(keys.publicKey);
+
+        const sec = signing.formatSecretKeyFile(keys.secretKey, 'release secret key');
+        expect(sec).to.equal(`untrusted comment: release secret key\n${keys.secretKey}\n`);
+        expect(signing.parseSecretKeyFile(sec)).to.equal(keys.secretKey);
+
+        const crlf = pub.replace(/\n/g, '\r\n');
+        expect(signing.parsePublicKeyFile(crlf)).to.equal(keys.publicKey);
+        expect(signing.normalizePublicKey(crlf)).to.equal(keys.publicKey);
+        expect(signing.parseSecretKeyFile(sec.replace(/\n/g, '\r\n'))).to.equal(keys.secretKey);
+
+        expect(() => signing.parsePublicKeyFile(keys.publicKey)).to.throw(/Invalid signify file/);
+        expect(() => signing.parsePublicKeyFile(sec)).to.throw(/bad data length/);
+        expect(() => signing.formatPublicKeyFile(keys.publicKey, 'a\nb')).to.throw(/Invalid comment/);
+    });
+
+    it('should verify manifest as signature with embedded message', () => {
+        const keys = signing.generateKeyPair();
+        const m = new Manifest();
+        m.version = '1.0.0';
+        const { signature, comment, message } = signing.parseSignatureFile(m.serialize(keys.secretKey));
+        expect(comment).to.equal('Peerio Updater manifest');
+        signing.verify([keys.publicKey], signature, message);
+    });
+
+    it('should sign and verify files', async () => {
+        const keys = signing.generateKeyPair();
+        const file = path.join(os.tmpdir(), `signing-test-${Date.now()}.bin`);
+        fs.writeFileSync(file, Buffer.from([0, 1, 2, 255]));
+        try {
+            const sig = await signing.signFile(keys.secretKey, file, undefined, 'verify with key.pub');
+            expect(sig).to.match(/^untrusted comment: verify with key\.pub\n[A-Za-z0-9+/]{99}=\n$/);
+            await signing.verifyFile([keys.publicKey], sig, file);
+
+            fs.writeFileSync(file, Buffer.from([0, 1, 2, 254]));
+            try {
+                await signing.verifyFile([keys.publicKey], sig, file);
+                throw new Error('Expected verification to fail');
+            } catch (err) {
+                expect(err.message).to.equal('Invalid signature');
+            }
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+
+    it('should verify minisign signatures', () => {
+        // Create minisign signature independently of signing.js.
+        const pair = nacl.sign.keyPair();
+        const keyId = nacl.randomBytes(8);
+        const publicKey = Buffer.concat([Buffer.from('Ed'), keyId, pair.publicKey]).toString('base64');
+        const msg = Buffer.from('Hello world');
+        const hash = crypto.createHash('blake2b512').update(msg).digest();
+        const sig = nacl.sign.detached(hash, pair.secretKey);
+        const trustedComment = 'timestamp:1556193335\tfile:hello.txt';
+        const global = nacl.sign.detached(Buffer.concat([sig, Buffer.from(trustedComment)]), pair.secretKey);
+        const file = [
+            'untrusted comment: signature from minisign secret key',
+            Buffer.concat([Buffer.from('ED'), keyId, sig]).toString('base64'),
+            `trusted comment: ${trustedComment}`,
+            Buffer.from(global).toString('base64'),
+            ''
+        ].join('\n');
+        const pub = `untrusted comment: minisign public key ${keyId.toString('hex')}\n${publicKey}\n`;
+
+        const minisig = signing.parseMinisignSignatureFile(file);
+        const verified = signing.verify([signing.parsePublicKeyFile(pub)], minisig, msg);
+        expect(verified).to.deep.equal({ key: publicKey, trustedComment });
+        expect(signing.formatMinisignSignatureFile(minisig)).to.equal(file);
+
+        // Files edited on Windows can have CRLF line endings.
+        const crlf = signing.parseMinisignSignatureFile(file.replace(/\n/g, '\r\n'));
+        expect(crlf).to.deep.equal(minisig);
+        expect(signing.verify([publicKey], crlf, msg)).to.deep.equal({ key: publicKey, trustedComment });
+
+        expect(() => {
+            signing.verify([publicKey], Object.assign({}, minisig, { trustedComment: 'forged' }), msg);
+        }).to.throw(/trusted comment/);
+        expect(() => {
+            signing.verify([publicKey], minisig, 'Goodbye world');
+        }).to.throw(/Invalid signature/);
+    });
+
+    it('should sign with trusted comment', () => {
+        const keys = signing.generateKeyPair();
+        const msg = "Hello world";
+        const sig = signing.signWithTrustedComment(keys.secretKey, msg, 'release 1.0.0');
+        expect(Buffer.from(sig.signature, 'base64').toString('latin1', 0, 2)).to.equal('ED');
+        expect(signing.verify([keys.publicKey], sig, msg).trustedComment).to.equal('release 1.0.0');
+        expect(() => signing.signWithTrustedComment(keys.secretKey, msg, 'a\nb')).to.throw(/Invalid trusted comment/);
+    });
+
 });
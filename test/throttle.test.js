@@ -0,0 +1,56 @@
+const expect = require('chai').expect;
+const { createThrottleStream } = require('../throttle');
+
+/**
+ * Writes the given number of chunks into the stream and returns
+ * a promise resolving to the number of milliseconds it took
+ * to pass all of them through.
+ */
+function passChunks(stream, count, size, afterFirst) {
+    return new Promise((fulfill, reject) => {
+        const start = Date.now();
+        let received = 0;
+        stream.on('data', chunk => {
+            received += chunk.length;
+            if (received === size && afterFirst) afterFirst();
+        });
+        stream.on('end', () => {
+            expect(received).to.equal(count * size);
+            fulfill(Date.now() - start);
+        });
+        stream.on('error', reject);
+        for (let i = 0; i < count; i++) {
+            stream.write(Buffer.alloc(size));
+        }
+        stream.end();
+    });
+}
+
+describe('Throttle', () => {
+    it('should limit rate', async () => {
+        // 10 chunks of 1000 bytes at 20000 bytes per second:
+        // the first one passes immediately, others take 50 ms each.
+        const elapsed = await passChunks(createThrottleStream(20000), 10, 1000);
+        expect(elapsed).to.be.at.least(400);
+    });
+
+    it('should not limit rate if it is zero', async () => {
+        const elapsed = await passChunks(createThrottleStream(0), 10, 1000);
+        expect(elapsed).to.be.below(100);
+    });
+
+    it('should apply rate changes while passing data', async () => {
+        let rate = 100;
+        const elapsed = await passChunks(createThrottleStream(() => rate), 10, 1000, () => {
+            rate = 0;
+        });
+        expect(elapsed).to.be.below(1000);
+    });
+
+    it('should pass the rest of data after release', async () => {
+        const stream = createThrottleStream(1);
+        setTimeout(() => stream.release(), 50);
+        const elapsed = await passChunks(stream, 10, 1000);
+        expect(elapsed).to.be.below(300);
+    });
+});
@@ -1,6 +1,73 @@
 const expect = require('chai').expect;
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const url = require('url');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const rimraf = require('rimraf');
+const FakeTimers = require('@sinonjs/fake-timers');
 const Updater = require('../updater');
+const Manifest = require('../manifest');
+const { generateKeyPair, formatPublicKeyFile } = require('../signing');
+
+/**
+ * Returns a transport serving the given files,
+ * which is an object mapping URLs to contents.
+ */
+function createFilesTransport(files) {
+    return address => {
+        const res = new PassThrough();
+        const body = files[address];
+        res.statusCode = body == null ? 404 : 200;
+        res.headers = {};
+        res.end(body == null ? '' : body);
+        return Promise.resolve(res);
+    };
+}
+
+function createManifest(secretKey, version, configure) {
+    const m = new Manifest();
+    m.version = version;
+    m.date = new Date();
+    m.setFile('mac', 'https://example.com/file-mac.zip');
+    m.setSha512('mac', '876811d9f53cbbf8be653a37ac6b53d3dfd401c9dfecf202a1875997548455ed3ad0f52d0503af79a6c730c5074d125df7de19e40380a4a3c03568ad831a82e4');
+    m.setSize('mac', 1024);
+    if (configure) configure(m);
+    return m.serialize(secretKey);
+}
+
+/**
+ * Returns length bytes derived from the seed, which
+ * are the same every time unlike random bytes.
+ */
+function deterministicBytes(seed, length) {
+    const parts = [];
+    for (let i = 0; parts.length * 32 < length; i++) {
+        parts.push(crypto.createHash('sha256').update(`${seed}${i}`).digest());
+    }
+    return Buffer.concat(parts).slice(0, length);
+}
+
+/**
+ * Returns a promise resolving when the condition becomes true,
+ * rejecting if it doesn't within a second.
+ */
+function waitFor(condition) {
+    return new Promise((fulfill, reject) => {
+        const start = Date.now();
+        const check = () => {
+            if (condition()) return fulfill();
+            if (Date.now() - start > 1000) return reject(new Error('Timed out waiting for condition'));
+            setTimeout(check, 10);
+        };
+        check();
+    });
+}
+
+function sha512(data) {
+    return crypto.createHash('sha512').update(data).digest('hex');
+}
 
 describe('Updater', () => {
     it('should check for updates', function (done) {
@@ -9,7 +76,8 @@ describe('Updater', () => {
             version: '1.0.0',
             publicKeys: ['RWRmSs9OkM8MtW1xBavNyjCxdcjwpnabs690k2y7+0SJuryXOeKtelwr'],
             // secret key: RWQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAJz9MEdpVP/1mSs9OkM8MtQtUSSaMApafaQk4MTVEts9mp7HzG9BcC+nVJZ/cX46rbXEFq83KMLF1yPCmdpuzr3STbLv7RIm6vJc54q16XCs=
-            manifests: ['github:dchest/updater-test-repo']
+            manifests: ['github:dchest/updater-test-repo'],
+            stateDirectory: path.join(os.tmpdir(), `updater-test-${crypto.randomBytes(8).toString('hex')}`)
         });
         updater.on('update-available', () => {
             console.log('Update available:', updater.newVersion);
@@ -27,4 +95,942 @@ describe('Updater', () => {
         });
         updater.checkForUpdates();
     });
+
+    describe('with local manifests', () => {
+        const keys = generateKeyPair();
+        let directory;
+
+        beforeEach(() => {
+            directory = path.join(
+                os.tmpdir(),
+                `updater-test-${crypto.randomBytes(8).toString('hex')}`
+            );
+        });
+
+        afterEach(() => {
+            rimraf.sync(directory);
+        });
+
+        function createUpdater(files, config = {}) {
+            const updater = new Updater(Object.assign({
+                version: '1.0.0',
+                publicKeys: [keys.publicKey],
+                manifests: Object.keys(files),
+                transport: createFilesTransport(files),
+                stateDirectory: path.join(directory, 'state')
+            }, config));
+            updater.setDownloadsDirectory(directory);
+            return updater;
+        }
+
+        it('should detect rollback to an older manifest', async () => {
+            const newer = createUpdater({
+                'https://example.com/manifest.txt': createManifest(keys.secretKey, '1.2.0')
+            });
+            expect(await newer._check()).to.be.an.instanceof(Manifest);
+
+            const older = createUpdater({
+                'https://example.com/manifest.txt': createManifest(keys.secretKey, '1.1.0')
+            });
+            let detected = null;
+            older.on('rollback-detected', (version, highest) => {
+                detected = [version, highest];
+            });
+            try {
+                await older._check();
+                throw new Error('Expected check to fail');
+            } catch (err) {
+                expect(err.code).to.equal('rollback-detected');
+            }
+            expect(detected).to.deep.equal(['1.1.0', '1.2.0']);
+        });
+
+        it('should require state directory', () => {
+            const files = { 'https://example.com/manifest.txt': null };
+            expect(() => createUpdater(files, { stateDirectory: undefined })).to.throw(/No state directory/);
+        });
+
+        it('should detect rollback after downloads directory changes', async () => {
+            const url = 'https://example.com/manifest.txt';
+            expect(await createUpdater({ [url]: createManifest(keys.secretKey, '1.2.0') })._check())
+                .to.be.an.instanceof(Manifest);
+            const older = createUpdater({ [url]: createManifest(keys.secretKey, '1.1.0') });
+            older.setDownloadsDirectory(path.join(directory, 'downloads'));
+            try {
+                await older._check();
+                throw new Error('Expected check to fail');
+            } catch (err) {
+                expect(err.code).to.equal('rollback-detected');
+            }
+        });
+
+        it('should use the next manifest URL after rollback', async () => {
+            await createUpdater({
+                'https://example.com/manifest.txt': createManifest(keys.secretKey, '1.2.0')
+            })._check();
+
+            const updater = createUpdater({
+                'https://example.com/old.txt': createManifest(keys.secretKey, '1.1.0'),
+                'https://example.com/new.txt': createManifest(keys.secretKey, '1.2.1')
+            });
+            const manifest = await updater._check();
+            expect(manifest.version).to.equal('1.2.1');
+        });
+
+        it('should accept public keys from signify files', async () => {
+            const updater = createUpdater({
+                'https://example.com/manifest.txt': createManifest(keys.secretKey, '1.2.0')
+            }, {
+                publicKeys: [{ key: formatPublicKeyFile(keys.publicKey), notAfter: '2100-01-01T00:00:00Z' }]
+            });
+            expect(updater.publicKeys[0].key).to.equal(keys.publicKey);
+            expect((await updater._check()).version).to.equal('1.2.0');
+        });
+
+        it('should skip expired manifests', async () => {
+            const expired = new Date(Date.now() - 24 * 60 * 60 * 1000);
+            const updater = createUpdater({
+                'https://example.com/expired.txt': createManifest(keys.secretKey, '1.3.0', m => { m.expires = expired; }),
+                'https://example.com/fresh.txt': createManifest(keys.secretKey, '1.2.0')
+            });
+            const manifest = await updater._check();
+            expect(manifest.version).to.equal('1.2.0');
+        });
+
+        it('should fail with manifest-expired error', async () => {
+            const expired = new Date(Date.now() - 24 * 60 * 60 * 1000);
+            const updater = createUpdater({
+                'https://example.com/manifest.txt': createManifest(keys.secretKey, '1.3.0', m => { m.expires = expired; })
+            });
+            try {
+                await updater._check();
+                throw new Error('Expected check to fail');
+            } catch (err) {
+                expect(err.code).to.equal('manifest-expired');
+            }
+        });
+
+        it('should rotate signing keys', async () => {
+            const next = generateKeyPair();
+            const url = 'https://example.com/manifest.txt';
+
+            // Signed by the old key, introduces the next key.
+            await createUpdater({
+                [url]: createManifest(keys.secretKey, '1.1.0', m => { m.addedKeys = [{ key: next.publicKey }]; })
+            })._check();
+
+            // Signed by the next key, revokes the old one.
+            const manifest = await createUpdater({
+                [url]: createManifest(next.secretKey, '1.2.0', m => { m.revokedKeys = [keys.publicKey]; })
+            })._check();
+            expect(manifest.version).to.equal('1.2.0');
+
+            // Signed by the revoked key.
+            try {
+                await createUpdater({ [url]: createManifest(keys.secretKey, '1.3.0') })._check();
+                throw new Error('Expected check to fail');
+            } catch (err) {
+                expect(err.message).to.match(/revoked or expired/);
+            }
+        });
+
+        it('should ignore key updates from manifests not signed by trusted keys', async () => {
+            const attacker = generateKeyPair();
+            const url = 'https://example.com/manifest.txt';
+            const updater = createUpdater({ [url]: createManifest(attacker.secretKey, '1.2.0') });
+            fs.mkdirSync(path.join(directory, 'state'), { recursive: true });
+            fs.writeFileSync(updater._getTrustedKeysFilePath(), JSON.stringify({
+                manifests: [{
+                    text: createManifest(attacker.secretKey, '1.1.0', m => {
+                        m.addedKeys = [{ key: attacker.publicKey }];
+                    })
+                }]
+            }));
+            try {
+                await updater._check();
+                throw new Error('Expected check to fail');
+            } catch (err) {
+                expect(err.message).to.match(/no matching key/);
+            }
+            expect(await updater._getTrustedKeys()).to.deep.equal([{ key: keys.publicKey }]);
+        });
+
+        it('should verify saved key updates at their signed dates', async () => {
+            const expired = generateKeyPair();
+            const attacker = generateKeyPair();
+            const url = 'https://example.com/manifest.txt';
+            const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+            const updater = createUpdater({ [url]: createManifest(attacker.secretKey, '1.2.0') }, {
+                publicKeys: [keys.publicKey, { key: expired.publicKey, notAfter: yesterday.toISOString() }]
+            });
+            // Signed by the expired key today, pretending
+            // to be accepted while the key was valid.
+            fs.mkdirSync(path.join(directory, 'state'), { recursive: true });
+            fs.writeFileSync(updater._getTrustedKeysFilePath(), JSON.stringify({
+                manifests: [{
+                    text: createManifest(expired.secretKey, '1.1.0', m => {
+                        m.addedKeys = [{ key: attacker.publicKey }];
+                    }),
+                    accepted: new Date(yesterday.getTime() - 60 * 60 * 1000).toISOString()
+                }]
+            }));
+            try {
+                await updater._check();
+                throw new Error('Expected check to fail');
+            } catch (err) {
+                expect(err.message).to.match(/no matching key/);
+            }
+            expect((await updater._getTrustedKeys()).map(entry => entry.key))
+                .to.deep.equal([keys.publicKey, expired.publicKey]);
+        });
+
+        it('should ignore saved key updates dated before previous ones', async () => {
+            const next = generateKeyPair();
+            const other = generateKeyPair();
+            const url = 'https://example.com/manifest.txt';
+            const updater = createUpdater({ [url]: createManifest(other.secretKey, '1.2.0') });
+            fs.mkdirSync(path.join(directory, 'state'), { recursive: true });
+            fs.writeFileSync(updater._getTrustedKeysFilePath(), JSON.stringify({
+                manifests: [{
+                    text: createManifest(keys.secretKey, '1.1.0', m => {
+                        m.addedKeys = [{ key: next.publicKey }];
+                    })
+                }, {
+                    text: createManifest(keys.secretKey, '1.0.0', m => {
+                        m.date = new Date(Date.now() - 24 * 60 * 60 * 1000);
+                        m.addedKeys = [{ key: other.publicKey }];
+                    })
+                }]
+            }));
+            expect(await updater._getTrustedKeys()).to.deep.equal([{ key: keys.publicKey }, { key: next.publicKey }]);
+        });
+
+        it('should save key updates only once', async () => {
+            const next = generateKeyPair();
+            const url = 'https://example.com/manifest.txt';
+            const files = {
+                [url]: createManifest(keys.secretKey, '1.1.0', m => { m.addedKeys = [{ key: next.publicKey }]; })
+            };
+            await createUpdater(files)._check();
+            await createUpdater(files)._check();
+            const info = JSON.parse(fs.readFileSync(createUpdater(files)._getTrustedKeysFilePath(), 'utf8'));
+            expect(info.manifests).to.have.lengthOf(1);
+            expect(info.manifests[0].text).to.equal(files[url]);
+        });
+
+        it('should not revoke all keys', async () => {
+            const url = 'https://example.com/manifest.txt';
+            await createUpdater({
+                [url]: createManifest(keys.secretKey, '1.1.0', m => { m.revokedKeys = [keys.publicKey]; })
+            })._check();
+            const manifest = await createUpdater({
+                [url]: createManifest(keys.secretKey, '1.2.0')
+            })._check();
+            expect(manifest.version).to.equal('1.2.0');
+        });
+
+        it('should report update not offered to this install', async () => {
+            const url = 'https://example.com/manifest.txt';
+            const updater = createUpdater({
+                [url]: createManifest(keys.secretKey, '1.2.0', m => { m.rollout = 0; })
+            });
+            const event = new Promise(fulfill => updater.once('update-not-offered', fulfill));
+            updater.checkForUpdates();
+            expect((await event).version).to.equal('1.2.0');
+
+            // Allow-listed install gets update.
+            const id = await updater.getInstallId();
+            const allowed = createUpdater({
+                [url]: createManifest(keys.secretKey, '1.2.1', m => {
+                    m.rollout = 0;
+                    m.targetInstallIds = [id];
+                })
+            });
+            expect(await allowed.getInstallId()).to.equal(id);
+            expect((await allowed._check()).version).to.equal('1.2.1');
+        });
+
+        it('should keep install ID when downloads directory changes', async () => {
+            const files = { 'https://example.com/manifest.txt': null };
+            const id = await createUpdater(files).getInstallId();
+            const updater = createUpdater(files);
+            updater.setDownloadsDirectory(path.join(directory, 'downloads'));
+            expect(await updater.getInstallId()).to.equal(id);
+        });
+
+        it('should update within channel', async () => {
+            const updater = createUpdater({
+                'https://example.com/nightly.txt': createManifest(keys.secretKey, '1.3.0-nightly.1',
+                    m => { m.channel = 'nightly'; }),
+                'https://example.com/beta.txt': createManifest(keys.secretKey, '1.2.0-beta.2',
+                    m => { m.channel = 'beta'; })
+            }, { version: '1.2.0-beta.1', channel: 'beta' });
+            const manifest = await updater._check();
+            expect(manifest.version).to.equal('1.2.0-beta.2');
+        });
+
+        it('should handle switching to channel with lower version', async () => {
+            const files = {
+                'https://example.com/stable.txt': createManifest(keys.secretKey, '1.2.5',
+                    m => { m.channel = 'stable'; })
+            };
+            const updater = createUpdater(files, { version: '1.3.0-beta.2' });
+            const event = new Promise(fulfill => updater.once('channel-downgrade-available', fulfill));
+            updater.checkForUpdates();
+            expect((await event).version).to.equal('1.2.5');
+
+            const downgrading = createUpdater(files, { version: '1.3.0-beta.2', channelDowngrade: true });
+            expect((await downgrading._check()).version).to.equal('1.2.5');
+        });
+
+        it('should map deprecated allowPrerelease to beta channel', () => {
+            const files = { 'https://example.com/manifest.txt': null };
+            const updater = createUpdater(files, { allowPrerelease: true });
+            expect(updater.channel).to.equal('beta');
+            updater.allowPrerelease = false;
+            expect(updater.channel).to.equal('stable');
+            expect(createUpdater(files, { allowPrerelease: true, channel: 'nightly' }).channel).to.equal('nightly');
+        });
+
+        it('should not treat prerelease tags other than channels as channels', async () => {
+            const files = {
+                'https://example.com/stable.txt': createManifest(keys.secretKey, '1.2.5',
+                    m => { m.channel = 'stable'; })
+            };
+            const updater = createUpdater(files, { version: '1.3.0-staging', channelDowngrade: true });
+            expect(updater._isSwitchingChannel()).to.equal(false);
+            expect(await updater._check()).to.equal(null);
+            expect(updater.channelDowngradeVersion).to.equal(null);
+        });
+
+        describe('with patches', () => {
+            const oldData = deterministicBytes('old', 4096);
+            const newData = Buffer.concat([oldData.slice(0, 4000), deterministicBytes('new', 200)]);
+
+            // BSDIFF40 patch from old data to new data with control
+            // [4096, 104, 0], byte-by-byte difference and extra block
+            // containing the last 104 bytes of new data.
+            const patchData = Buffer.from(
+                'QlNESUZGNDAtAAAAAAAAAL4AAAAAAAAAaBAAAAAAAABCWmg5MUFZJlNZPntzaAAABGEAUAhAAABA' +
+                'IAAhg0GaDFTIzi7kinChIHz25tBCWmg5MUFZJlNZaCNjygAAB///yhQALQAJVENDQQD2oQcAFARH' +
+                'EQMSTIEBCEd/GByuwI6gAHQ71Bk9Q0ABoaAAANMQAPU2oHon5KFKNGmTRkNNMg0xGTTTENAyaDEZ' +
+                'NAekwQQhNpgAAAS03o+l9IrKxgjlz+8PDfKp6XE8XoN7bF2PMEUTvMTU3qjxhMXz7549usHfULcy' +
+                'VCRRxOcDPpZ5KvmLwOEx0Xh/CgHgVYIQg5EiKf4u5IpwoSDQRseUQlpoOTFBWSZTWSkFNy0AACr/' +
+                '/9ACIREEDJA7yMogAFED0BCE5Ihp44AZAknwRBwqvyQdIAB0OGg0AaDQGgMgDIADEDJ6jTyZPShh' +
+                'GgaaaNNMTTTEMQwIepiA0ZNBp6gMgHYkk58vMZflVCBYzFNl+pnqwnXvaImBoO+QM2mLPW+RSMbX' +
+                'wJH8Wh9zy3X6f6gYG/fnrqL6GaPyMzNIBdzjYCpCF0+MwA/dOcgFNVgA/8XckU4UJApBTctA',
+                'base64'
+            );
+
+            async function createPatchingUpdater(patch, full) {
+                const files = {
+                    'https://example.com/manifest.txt': createManifest(keys.secretKey, '1.1.0', m => {
+                        m.setFile('mac', 'https://example.com/file-mac.zip');
+                        m.setSize('mac', newData.length);
+                        m.setSha512('mac', sha512(newData));
+                        m.setPatch('mac', '1.0.0', {
+                            file: 'https://example.com/patch-mac',
+                            size: patch.length,
+                            sha512: sha512(patch)
+                        });
+                    }),
+                    'https://example.com/patch-mac': patch
+                };
+                if (full) files['https://example.com/file-mac.zip'] = full;
+                const updater = createUpdater(files);
+
+                // Pretend that the current version was installed
+                // from the file with old data.
+                const oldFile = path.join(directory, 'peerio-update-old.tmp');
+                fs.mkdirSync(directory);
+                fs.writeFileSync(oldFile, oldData);
+                fs.writeFileSync(path.join(directory, 'update-info.json'), JSON.stringify({
+                    currentVersion: '0.9.0',
+                    updateVersion: '1.0.0',
+                    updateFile: oldFile
+                }));
+                await updater.cleanup();
+                expect(fs.existsSync(oldFile)).to.equal(true);
+
+                await updater._check();
+                return updater;
+            }
+
+            it('should download update by applying patch', async () => {
+                const updater = await createPatchingUpdater(patchData);
+                const file = await updater._download('mac');
+                expect(fs.readFileSync(file).equals(newData)).to.equal(true);
+            });
+
+            it('should fall back to full download if patch fails', async () => {
+                // Corrupt compressed control block.
+                const corrupt = Buffer.from(patchData).fill(0, 42, 52);
+                const updater = await createPatchingUpdater(corrupt, newData);
+                const file = await updater._download('mac');
+                expect(fs.readFileSync(file).equals(newData)).to.equal(true);
+            });
+        });
+
+        describe('with mirrors', () => {
+            const data = crypto.randomBytes(1024);
+            const mirrors = [
+                'https://mirror1.example.com/file-mac.zip',
+                'https://mirror2.example.com/file-mac.zip'
+            ];
+
+            function createMirrorsManifest() {
+                return createManifest(keys.secretKey, '1.1.0', m => {
+                    m.setSize('mac', data.length);
+                    m.setSha512('mac', sha512(data));
+                    m.setMirrors('mac', mirrors);
+                });
+            }
+
+            it('should download from the next mirror after failure', async () => {
+                const updater = createUpdater({
+                    'https://example.com/manifest.txt': createMirrorsManifest(),
+                    // Main URL is not found and the first mirror serves a corrupted file.
+                    [mirrors[0]]: crypto.randomBytes(1024),
+                    [mirrors[1]]: data
+                });
+                const downloaded = new Promise(fulfill => {
+                    updater.once('update-downloaded', (file, manifest, mandatory, address) => {
+                        fulfill({ file, address });
+                    });
+                });
+                updater.on('error', err => { throw err; });
+                await updater._check();
+                updater._downloadUpdate('mac');
+                const { file, address } = await downloaded;
+                expect(address).to.equal(mirrors[1]);
+                expect(fs.readFileSync(file).equals(data)).to.equal(true);
+            });
+
+            it('should order mirrors by latency', async () => {
+                const files = {
+                    'https://example.com/manifest.txt': createMirrorsManifest(),
+                    [mirrors[0]]: data,
+                    [mirrors[1]]: data
+                };
+                const serve = createFilesTransport(files);
+                const delays = {
+                    'https://example.com/file-mac.zip': 0, // not found
+                    [mirrors[0]]: 100,
+                    [mirrors[1]]: 10
+                };
+                const updater = createUpdater(files, {
+                    mirrorOrder: 'latency',
+                    transport: (address, options) => new Promise(fulfill => {
+                        setTimeout(() => fulfill(serve(address, options)), delays[address] || 0);
+                    })
+                });
+                await updater._check();
+                expect(await updater._orderMirrors(updater.newVersion.getFileURLs('mac'))).to.deep.equal([
+                    mirrors[1],
+                    mirrors[0],
+                    'https://example.com/file-mac.zip'
+                ]);
+            });
+        });
+
+        describe('with parallel check', () => {
+            it('should use the highest version from all manifests', async () => {
+                const updater = createUpdater({
+                    'https://example.com/stale.txt': createManifest(keys.secretKey, '1.1.0'),
+                    'https://example.com/latest.txt': createManifest(keys.secretKey, '1.2.0'),
+                    'https://example.com/same.txt': createManifest(keys.secretKey, '1.2.0'),
+                    'https://example.com/missing.txt': null
+                }, { parallelCheck: true });
+                const manifest = await updater._check();
+                expect(manifest.version).to.equal('1.2.0');
+            });
+
+            it('should ignore manifests fetched after deadline', async () => {
+                const files = {
+                    'https://example.com/slow.txt': createManifest(keys.secretKey, '1.2.0'),
+                    'https://example.com/fast.txt': createManifest(keys.secretKey, '1.1.0')
+                };
+                const serve = createFilesTransport(files);
+                const updater = createUpdater(files, {
+                    parallelCheck: true,
+                    checkTimeout: 50,
+                    transport: (address, options) => new Promise(fulfill => {
+                        setTimeout(() => fulfill(serve(address, options)), address.endsWith('slow.txt') ? 200 : 0);
+                    })
+                });
+                const manifest = await updater._check();
+                expect(manifest.version).to.equal('1.1.0');
+            });
+
+            it('should abort requests not finished by deadline', async () => {
+                const files = {
+                    'https://example.com/slow.txt': createManifest(keys.secretKey, '1.2.0'),
+                    'https://example.com/fast.txt': createManifest(keys.secretKey, '1.1.0')
+                };
+                const serve = createFilesTransport(files);
+                const signals = {};
+                const updater = createUpdater(files, {
+                    parallelCheck: true,
+                    checkTimeout: 50,
+                    transport: (address, options) => {
+                        signals[address] = options.signal;
+                        if (address.endsWith('slow.txt')) {
+                            return new Promise(() => { /* never responds */ });
+                        }
+                        return serve(address, options);
+                    }
+                });
+                const manifest = await updater._check();
+                expect(manifest.version).to.equal('1.1.0');
+                expect(signals['https://example.com/slow.txt'].aborted).to.equal(true);
+                expect(signals['https://example.com/fast.txt'].aborted).to.equal(false);
+            });
+
+            it('should fail if all manifests failed', async () => {
+                const updater = createUpdater({
+                    'https://example.com/missing.txt': null,
+                    'https://example.com/expired.txt': createManifest(keys.secretKey, '1.2.0',
+                        m => { m.expires = new Date(Date.now() - 24 * 60 * 60 * 1000); })
+                }, { parallelCheck: true });
+                try {
+                    await updater._check();
+                    throw new Error('Expected check to fail');
+                } catch (err) {
+                    expect(err.message).to.match(/^Error checking for update/);
+                }
+            });
+        });
+
+        it('should fetch manifest with custom provider', async () => {
+            const text = createManifest(keys.secretKey, '1.1.0', m => m.setFile('mac', 'file-mac.zip'));
+            let context = null;
+            const updater = createUpdater({}, {
+                manifests: ['custom:releases'],
+                providers: {
+                    custom: {
+                        fetchManifest(location, ctx) {
+                            context = ctx;
+                            return Promise.resolve(location === 'releases' ? {
+                                text,
+                                url: 'https://releases.example.com/1.1.0/manifest.txt'
+                            } : null);
+                        }
+                    }
+                }
+            });
+            const manifest = await updater._check();
+            expect(manifest.version).to.equal('1.1.0');
+            // Relative file URL is resolved against the manifest URL.
+            expect(manifest.getFile('mac')).to.equal('https://releases.example.com/1.1.0/file-mac.zip');
+            expect(context.currentVersion).to.equal('1.0.0');
+            expect(context.channel).to.equal('stable');
+        });
+
+        it('should update from local directory', async () => {
+            const data = crypto.randomBytes(1024);
+            const source = path.join(directory, 'usb');
+            fs.mkdirSync(directory);
+            fs.mkdirSync(source);
+            fs.writeFileSync(path.join(source, 'update.zip'), data);
+            fs.writeFileSync(path.join(source, 'manifest.txt'), createManifest(keys.secretKey, '1.1.0', m => {
+                m.setFile('mac', 'update.zip');
+                m.setSize('mac', data.length);
+                m.setSha512('mac', sha512(data));
+            }));
+            const updater = createUpdater({}, {
+                manifests: [url.pathToFileURL(source).href]
+            });
+            expect((await updater._check()).version).to.equal('1.1.0');
+            const file = await updater._download('mac');
+            expect(fs.readFileSync(file).equals(data)).to.equal(true);
+            expect(updater.downloadedFrom).to.equal(url.pathToFileURL(path.join(source, 'update.zip')).href);
+        });
+
+        describe('with partially downloaded file', () => {
+            const data = crypto.randomBytes(4096);
+
+            /**
+             * Returns updater for the update with the given contents,
+             * served with range support. Range starts of requests
+             * for the update file are pushed into ranges.
+             */
+            function createResumingUpdater(content, ranges = []) {
+                const files = {
+                    'https://example.com/manifest.txt': createManifest(keys.secretKey, '1.1.0', m => {
+                        m.setSize('mac', content.length);
+                        m.setSha512('mac', sha512(content));
+                    })
+                };
+                const serve = createFilesTransport(files);
+                return createUpdater(files, {
+                    transport: (address, options) => {
+                        if (address !== 'https://example.com/file-mac.zip') {
+                            return serve(address, options);
+                        }
+                        const m = (options.headers['Range'] || '').match(/^bytes=(\d+)-$/);
+                        const start = m ? parseInt(m[1], 10) : 0;
+                        ranges.push(start);
+                        const res = new PassThrough();
+                        res.statusCode = m ? 206 : 200;
+                        res.headers = { 'content-length': String(content.length - start) };
+                        if (m) res.headers['content-range'] = `bytes ${start}-${content.length - 1}/${content.length}`;
+                        res.end(content.slice(start));
+                        return Promise.resolve(res);
+                    }
+                });
+            }
+
+            async function createPartialFile(content, length) {
+                const updater = createResumingUpdater(content);
+                await updater._createDownloadsDirectory();
+                const file = await updater._prepareDownloadFile(content.length, sha512(content));
+                fs.writeFileSync(file, content.slice(0, length));
+                return file;
+            }
+
+            it('should resume download into file from download info after restart', async () => {
+                const partial = await createPartialFile(data, 1000);
+                const ranges = [];
+                const updater = createResumingUpdater(data, ranges);
+                await updater._check();
+                const file = await updater._download('mac');
+                expect(file).to.equal(partial);
+                expect(ranges).to.deep.equal([1000]);
+                expect(fs.readFileSync(file).equals(data)).to.equal(true);
+            });
+
+            it('should discard partial file if update hash changed', async () => {
+                const stale = await createPartialFile(data, 1000);
+                const other = crypto.randomBytes(data.length);
+                const ranges = [];
+                const updater = createResumingUpdater(other, ranges);
+                await updater._check();
+                const file = await updater._download('mac');
+                expect(file).to.not.equal(stale);
+                expect(fs.existsSync(stale)).to.equal(false);
+                expect(ranges).to.deep.equal([0]);
+                expect(fs.readFileSync(file).equals(other)).to.equal(true);
+            });
+
+            it('should discard partial file if update size changed', async () => {
+                const stale = await createPartialFile(data, 1000);
+                const other = Buffer.concat([data, crypto.randomBytes(100)]);
+                const ranges = [];
+                const updater = createResumingUpdater(other, ranges);
+                await updater._check();
+                const file = await updater._download('mac');
+                expect(file).to.not.equal(stale);
+                expect(fs.existsSync(stale)).to.equal(false);
+                expect(ranges).to.deep.equal([0]);
+                expect(fs.readFileSync(file).equals(other)).to.equal(true);
+            });
+        });
+
+        it('should report download progress at most every 500 ms', () => {
+            const clock = FakeTimers.install({ toFake: ['Date'] });
+            try {
+                const updater = createUpdater({ 'https://example.com/manifest.txt': null });
+                const events = [];
+                updater.on('download-progress', progress => events.push(progress));
+                const report = updater._createProgressReporter(10000);
+
+                // Resumed download: bytes on disk don't count for speed.
+                clock.tick(1000);
+                report(1000, 9000);
+                clock.tick(200);
+                report(3000, 9000); // throttled
+                clock.tick(299);
+                report(4000, 9000); // throttled
+                clock.tick(1);
+                report(5000, 9000);
+                clock.tick(100);
+                report(10000, 9000); // completion is always reported
+
+                expect(events).to.deep.equal([
+                    { transferred: 1000, total: 10000, bytesPerSecond: 0, percent: 10 },
+                    { transferred: 5000, total: 10000, bytesPerSecond: 2667, percent: 50 },
+                    { transferred: 10000, total: 10000, bytesPerSecond: 5625, percent: 100 }
+                ]);
+                expect(updater.getState().progress).to.deep.equal(events[2]);
+            } finally {
+                clock.uninstall();
+            }
+        });
+
+        it('should move through states while checking and downloading', async () => {
+            const data = crypto.randomBytes(1024);
+            const updater = createUpdater({
+                'https://example.com/manifest.txt': createManifest(keys.secretKey, '1.1.0', m => {
+                    m.setSize('mac', data.length);
+                    m.setSha512('mac', sha512(data));
+                }),
+                'https://example.com/file-mac.zip': data
+            });
+            const states = [];
+            updater.on('state-changed', (snapshot, previous) => {
+                states.push(`${previous}->${snapshot.state}`);
+            });
+            expect(updater.getState()).to.deep.equal({
+                state: 'idle',
+                version: null,
+                progress: null,
+                lastError: null
+            });
+            await updater._check();
+            await updater._download('mac');
+            expect(states).to.deep.equal([
+                'idle->checking',
+                'checking->available',
+                'available->downloading',
+                'downloading->downloaded'
+            ]);
+            const snapshot = updater.getState();
+            expect(snapshot).to.include({ state: Updater.STATE_DOWNLOADED, version: '1.1.0', lastError: null });
+            expect(snapshot.progress).to.include({ transferred: 1024, total: 1024, percent: 100 });
+        });
+
+        it('should move to error state when manifest has no file for platform', async () => {
+            const updater = createUpdater({
+                'https://example.com/manifest.txt': createManifest(keys.secretKey, '1.1.0')
+            });
+            await updater._check();
+            const error = new Promise(fulfill => updater.once('error', fulfill));
+            updater._downloadUpdate('windows');
+            expect((await error).message).to.match(/No file in manifest/);
+            const snapshot = updater.getState();
+            expect(snapshot.state).to.equal('error');
+            expect(snapshot.lastError.message).to.match(/No file in manifest/);
+        });
+
+        it('should call install fallback when update cannot be installed', async () => {
+            const updater = createUpdater({ 'https://example.com/missing.txt': null });
+            let calls = 0;
+            updater._install(() => calls++);
+            expect(calls).to.equal(1);
+
+            // Downloaded update, but the check started by
+            // quitAndRetryInstall() failed.
+            updater.downloadedFile = path.join(directory, 'update.zip');
+            updater.on('error', () => { /* expected */ });
+            await updater.checkForUpdates();
+            expect(updater.getState().state).to.equal('error');
+            updater._install(() => calls++);
+            expect(calls).to.equal(2);
+            expect(updater.getState().state).to.equal('error');
+        });
+
+        it('should reject illegal state transitions', async () => {
+            const updater = createUpdater({
+                'https://example.com/manifest.txt': createManifest(keys.secretKey, '1.1.0')
+            });
+            try {
+                await updater._download('mac');
+                throw new Error('Expected download to fail');
+            } catch (err) {
+                expect(err.message).to.equal('No new version to download');
+            }
+            expect(() => updater._setState(Updater.STATE_INSTALLING)).to.throw(/idle -> installing/);
+            expect(updater.getState().state).to.equal('idle');
+            await updater._check();
+            try {
+                updater._setState(Updater.STATE_DOWNLOADED);
+                throw new Error('Expected transition to fail');
+            } catch (err) {
+                expect(err.code).to.equal('invalid-state-transition');
+            }
+            expect(updater.getState().state).to.equal('available');
+        });
+
+        describe('with stalled download', () => {
+            const data = crypto.randomBytes(4096);
+
+            /**
+             * Creates updater whose update file transport sends
+             * the first 1000 bytes and stalls until resumed.
+             */
+            function createStallingUpdater() {
+                const manifest = createManifest(keys.secretKey, '1.1.0', m => {
+                    m.setSize('mac', data.length);
+                    m.setSha512('mac', sha512(data));
+                });
+                const updater = createUpdater({ 'https://example.com/manifest.txt': manifest });
+                updater.ranges = [];
+                updater.stalled = new Promise(fulfill => {
+                    updater.transport = (address, options) => {
+                        const res = new PassThrough();
+                        res.headers = {};
+                        if (address.endsWith('manifest.txt')) {
+                            res.statusCode = 200;
+                            res.end(manifest);
+                            return Promise.resolve(res);
+                        }
+                        const range = options.headers['Range'];
+                        updater.ranges.push(range);
+                        const start = range ? parseInt(range.match(/^bytes=(\d+)-$/)[1], 10) : 0;
+                        res.statusCode = range ? 206 : 200;
+                        res.headers['content-length'] = String(data.length - start);
+                        if (range) res.headers['content-range'] = `bytes ${start}-${data.length - 1}/${data.length}`;
+                        if (start === 0) {
+                            res.write(data.slice(0, 1000), () => setImmediate(fulfill));
+                        } else {
+                            res.end(data.slice(start));
+                        }
+                        return Promise.resolve(res);
+                    };
+                });
+                return updater;
+            }
+
+            it('should pause and resume download', async () => {
+                const updater = createStallingUpdater();
+                const downloaded = new Promise(fulfill => updater.once('update-downloaded', fulfill));
+                await updater._check();
+                const download = updater._download('mac');
+                await updater.stalled;
+                await updater.pauseDownload();
+                expect(updater.getState().state).to.equal('paused');
+                try {
+                    await download;
+                    throw new Error('Expected download to be aborted');
+                } catch (err) {
+                    expect(err.code).to.equal('aborted');
+                }
+
+                await updater.resumeDownload();
+                const file = await downloaded;
+                expect(updater.getState().state).to.equal('downloaded');
+                expect(updater.ranges).to.deep.equal([undefined, 'bytes=1000-']);
+                expect(fs.readFileSync(file).equals(data)).to.equal(true);
+            });
+
+            it('should cancel download', async () => {
+                const updater = createStallingUpdater();
+                updater.on('error', err => { throw err; });
+                await updater._check();
+                updater._downloadUpdate('mac');
+                await updater.stalled;
+                const info = JSON.parse(fs.readFileSync(path.join(directory, 'download-info.json'), 'utf8'));
+                // Write stream opens the file asynchronously.
+                await waitFor(() => fs.existsSync(info.file));
+
+                await updater.cancelDownload();
+                expect(updater.getState()).to.deep.equal({
+                    state: 'idle',
+                    version: null,
+                    progress: null,
+                    lastError: null
+                });
+                expect(fs.existsSync(info.file)).to.equal(false);
+                expect(fs.existsSync(path.join(directory, 'download-info.json'))).to.equal(false);
+                expect((await updater._check()).version).to.equal('1.1.0');
+            });
+        });
+
+        it('should lift download rate limit in foreground', () => {
+            const files = { 'https://example.com/manifest.txt': createManifest(keys.secretKey, '1.1.0') };
+            expect(() => createUpdater(files, { maxDownloadRate: -1 })).to.throw(/Invalid download rate/);
+            const updater = createUpdater(files, { maxDownloadRate: 50000 });
+            expect(updater._getDownloadRate()).to.equal(50000);
+            updater.setMaxDownloadRate(10000);
+            expect(updater._getDownloadRate()).to.equal(10000);
+            updater.setForeground(true);
+            expect(updater._getDownloadRate()).to.equal(0);
+            updater.setForeground(false);
+            expect(updater._getDownloadRate()).to.equal(10000);
+        });
+
+        it('should schedule periodic checks relative to the last check', async () => {
+            const hour = 60 * 60 * 1000;
+            const updater = createUpdater({
+                'https://example.com/manifest.txt': createManifest(keys.secretKey, '1.1.0')
+            });
+            updater._checkInterval = 10 * hour;
+            expect(await updater._getFirstCheckDelay()).to.equal(10 * hour);
+
+            await updater._check();
+            const saved = await updater._readLastCheckTime();
+            expect(saved.getTime()).to.equal(updater.lastCheckTime.getTime());
+
+            fs.writeFileSync(updater._getLastCheckFilePath(), JSON.stringify({
+                time: new Date(Date.now() - 2 * hour).toISOString()
+            }));
+            const delay = await updater._getFirstCheckDelay();
+            expect(delay).to.be.within(8 * hour - 1000, 8 * hour);
+
+            fs.writeFileSync(updater._getLastCheckFilePath(), JSON.stringify({
+                time: new Date(Date.now() - 20 * hour).toISOString()
+            }));
+            expect(await updater._getFirstCheckDelay()).to.equal(60 * 1000);
+        });
+
+        it('should keep checking periodically with jitter after failed checks', async () => {
+            const minute = 60 * 1000;
+            const hour = 60 * minute;
+            const clock = FakeTimers.install({ toFake: ['setTimeout', 'clearTimeout'] });
+            const random = Math.random;
+            try {
+                const updater = createUpdater({ 'https://example.com/missing.txt': null });
+                updater._readLastCheckTime = async () => null;
+                const checks = [];
+                updater.checkForUpdates = async () => {
+                    checks.push(clock.now);
+                    updater._failedChecks++;
+                    // Like emitting 'error' without listeners.
+                    throw new Error('Unhandled error');
+                };
+
+                // Shortest delay: interval minus 10%.
+                Math.random = () => 0;
+                updater.checkPeriodically(hour);
+                await clock.tickAsync(0.9 * hour - 1);
+                expect(checks).to.deep.equal([]);
+
+                // Longest delays after it: backoff plus 10%.
+                Math.random = () => 1;
+                await clock.tickAsync(1);
+                expect(checks).to.deep.equal([0.9 * hour]);
+                await clock.tickAsync(1.1 * minute);
+                expect(checks).to.deep.equal([0.9 * hour, 0.9 * hour + 1.1 * minute]);
+                await clock.tickAsync(2.2 * minute);
+                expect(checks).to.have.lengthOf(3);
+
+                updater.stopCheckingPeriodically();
+                await clock.tickAsync(2 * hour);
+                expect(checks).to.have.lengthOf(3);
+            } finally {
+                Math.random = random;
+                clock.uninstall();
+            }
+        });
+
+        it('should back off after failed checks', async () => {
+            const updater = createUpdater({ 'https://example.com/missing.txt': null });
+            updater._checkInterval = 5 * 60 * 1000;
+            const delays = [];
+            for (let i = 0; i < 5; i++) {
+                await updater._check().catch(() => { /* expected */ });
+                delays.push(updater._getNextCheckDelay());
+            }
+            expect(delays).to.deep.equal([60000, 120000, 240000, 300000, 300000]);
+            expect(await updater._readLastCheckTime()).to.equal(null);
+
+            updater.manifestURLs = ['https://example.com/manifest.txt'];
+            updater.transport = createFilesTransport({
+                'https://example.com/manifest.txt': createManifest(keys.secretKey, '1.0.0')
+            });
+            await updater._check();
+            expect(updater._getNextCheckDelay()).to.equal(5 * 60 * 1000);
+        });
+
+        it('should enter error state when check fails', async () => {
+            const updater = createUpdater({ 'https://example.com/missing.txt': null });
+            const errors = [];
+            updater.on('error', err => errors.push(err));
+            await updater.checkForUpdates();
+            const snapshot = updater.getState();
+            expect(snapshot.state).to.equal('error');
+            expect(snapshot.lastError).to.equal(errors[0]);
+            expect(snapshot.lastError.message).to.match(/^Error checking for update/);
+        });
+    });
 });
@@ -0,0 +1,78 @@
+// @ts-check
+const { Transform } = require('stream');
+
+/** Maximum time to wait before checking the rate again */
+const MAX_WAIT = 250; // milliseconds
+
+/**
+ * Maximum download rate in bytes per second, or a function
+ * returning it, which is called for every chunk, so that the
+ * rate can be changed while downloading. Zero, null or undefined
+ * rate means no limit.
+ *
+ * @typedef {number|function(): number} Rate
+ */
+
+/**
+ * Creates a transform stream which passes data through
+ * no faster than the given rate (on average, allowing
+ * bursts of up to one second worth of data).
+ *
+ * The returned stream has release() method, which removes
+ * the limit for the rest of the data, e.g. to quickly flush
+ * what was received so far when the download fails.
+ *
+ * @param {Rate} rate
+ * @returns {Transform & { release: function(): void }}
+ */
+function createThrottleStream(rate) {
+    const getRate = typeof rate === 'function' ? rate : () => rate;
+    let allowance = 0; // bytes that can be passed right away, negative if over the limit
+    let last = Date.now();
+    let released = false;
+    let timer = null;
+    let pending = null;
+
+    /** @type {any} */
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            pending = () => {
+                timer = null;
+                const now = Date.now();
+                const current = released ? 0 : getRate();
+                if (!(current > 0)) {
+                    allowance = 0;
+                    last = now;
+                    callback(null, chunk);
+                    return;
+                }
+                allowance = Math.min(current, allowance + (now - last) * current / 1000);
+                last = now;
+                if (allowance < 0) {
+                    timer = setTimeout(pending, Math.min(MAX_WAIT, Math.ceil(-allowance * 1000 / current)));
+                    return;
+                }
+                allowance -= chunk.length;
+                callback(null, chunk);
+            };
+            pending();
+        },
+        destroy(err, callback) {
+            clearTimeout(timer);
+            callback(err);
+        }
+    });
+
+    stream.release = () => {
+        released = true;
+        if (timer) {
+            clearTimeout(timer);
+            pending();
+        }
+    };
+    return stream;
+}
+
+module.exports = {
+    createThrottleStream
+};
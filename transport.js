@@ -0,0 +1,287 @@
+// @ts-check
+/**
+ * Default HTTPS transport used by fetch.js.
+ *
+ * Transport is a function which makes a single GET request
+ * and returns a promise resolving to the response. Redirects,
+ * retries and status codes are handled by the caller.
+ *
+ * Apps can provide their own transport in the updater
+ * config, for example, one based on Electron's `net` module.
+ */
+const https = require('https');
+const tls = require('tls');
+const url = require('url');
+const crypto = require('crypto');
+const { getProxyForURL, connectTunnel } = require('./proxy');
+const { abortError, onAbort } = require('./abort');
+const { codedError } = require('./errors');
+
+/**
+ * Transport request options.
+ *
+ * @typedef {Object} TransportOptions
+ * @property {Object<string, string>} headers request headers
+ * @property {number} timeout request timeout in milliseconds
+ * @property {AbortSignal} [signal] signal to abort the request with; transports
+ *           should stop the request when it's aborted, although fetch.js stops
+ *           waiting for the response anyway
+ */
+
+/**
+ * Transport response.
+ *
+ * A readable stream of the response body (it must support `pipe`,
+ * `resume`, `setEncoding` and `destroy`), which also has status
+ * code and lowercased headers.
+ *
+ * Errors while reading the body are reported with 'error' or
+ * 'aborted' events, like in http.IncomingMessage.
+ *
+ * @typedef {import('stream').Readable & { statusCode?: number, headers: Object<string, string|string[]|undefined> }} TransportResponse
+ */
+
+/**
+ * Transport makes a GET request to the given address and returns
+ * a promise resolving to the response, or rejecting if the request
+ * failed or timed out.
+ *
+ * @callback Transport
+ * @param {string} address requested URL
+ * @param {TransportOptions} options request options
+ * @returns {Promise<TransportResponse>}
+ */
+
+/**
+ * Creates a new HTTPS transport.
+ *
+ * The transport tunnels requests through the proxy
+ * configured with HTTPS_PROXY and NO_PROXY environment
+ * variables (see proxy.js).
+ *
+ * If ca is given, server certificates are verified against
+ * it instead of the system CA store.
+ *
+ * If pins are given, certificates of the pinned hosts must have
+ * one of the listed public keys in their chain. Pins are base64-encoded
+ * SHA-256 hashes of DER-encoded SubjectPublicKeyInfo (like in HPKP),
+ * optionally prefixed with 'sha256/'. Pins are checked on every connection,
+ * including those made to follow redirects. Pin mismatch is reported as
+ * an error with code 'pin-mismatch'.
+ *
+ * @param {Object} [config]
+ * @param {Object<string, string|undefined>} [config.env] environment variables (process.env by default)
+ * @param {string|Array<string>} [config.ca] PEM-encoded trusted CA certificates
+ * @param {Object<string, Array<string>>} [config.pins] public key pins by host name
+ * @returns {Transport}
+ */
+function createTransport(config = {}) {
+    const pins = normalizePins(config.pins);
+    return function httpsTransport(address, options) {
+        const { hostname, port, path } = url.parse(address);
+        const tlsOptions = {
+            ca: config.ca,
+            checkServerIdentity: (host, cert) => checkServerIdentity(host, cert, pins)
+        };
+        const proxy = getProxyForURL(address, config.env || process.env);
+        if (!proxy) {
+            return request(Object.assign({
+                host: hostname,
+                port,
+                path,
+                // Make sure pins are checked for every connection
+                // by not reusing sockets from the global agent.
+                agent: pins[hostname.toLowerCase()] ? false : undefined
+            }, tlsOptions), options);
+        }
+        const destPort = port ? parseInt(port, 10) : 443;
+        return connectTunnel(proxy, hostname, destPort, options.timeout)
+            .then(socket => request({
+                host: hostname,
+                port,
+                path,
+                agent: false,
+                createConnection: () => tls.connect(Object.assign({
+                    socket,
+                    servername: hostname
+                }, tlsOptions))
+            }, options));
+    };
+}
+
+/**
+ * Returns pins with lowercase host names and without 'sha256/' prefixes.
+ *
+ * @param {Object<string, Array<string>>} [pins]
+ * @returns {Object<string, Array<string>>}
+ */
+function normalizePins(pins = {}) {
+    const result = {};
+    Object.keys(pins).forEach(host => {
+        result[host.toLowerCase()] = pins[host].map(pin => pin.replace(/^sha256\//, ''));
+    });
+    return result;
+}
+
+/**
+ * Verifies server certificate for the given host and,
+ * if the host is pinned, checks that one of the certificates
+ * in the chain has a pinned public key.
+ *
+ * Returns an error if verification failed, or undefined.
+ *
+ * @param {string} host host name
+ * @param {tls.PeerCertificate|tls.DetailedPeerCertificate} cert server certificate
+ * @param {Object<string, Array<string>>} pins normalized pins
+ * @returns {Error|undefined}
+ */
+function checkServerIdentity(host, cert, pins) {
+    const err = tls.checkServerIdentity(host, cert);
+    if (err) {
+        return err;
+    }
+    const hostPins = pins[host.toLowerCase()];
+    if (!hostPins) {
+        return undefined;
+    }
+    const seen = [];
+    /** @type {any} */
+    let c = cert;
+    while (c && seen.indexOf(c) < 0) {
+        if (!c.raw) {
+            return pinMismatchError(`Unable to check public key pins for ${host}: no raw certificate`);
+        }
+        const spki = getPublicKeyInfo(c.raw);
+        if (!spki) {
+            return pinMismatchError(`Unable to check public key pins for ${host}: malformed certificate`);
+        }
+        const pin = crypto.createHash('sha256').update(spki).digest('base64');
+        if (hostPins.indexOf(pin) >= 0) {
+            return undefined;
+        }
+        seen.push(c);
+        c = c.issuerCertificate;
+    }
+    return pinMismatchError(`Public key pin mismatch for ${host}`);
+}
+
+// DER tags of SEQUENCE and of the certificate version field.
+const DER_SEQUENCE = 0x30;
+const DER_VERSION = 0xa0;
+
+/**
+ * Returns DER-encoded SubjectPublicKeyInfo of the given certificate,
+ * or null if the certificate is malformed.
+ *
+ * Certificate's pubkey property can't be used for this, since
+ * for EC keys it contains only the public point without
+ * the algorithm and curve identifiers, so the structure is
+ * read from the raw certificate:
+ *
+ *   Certificate ::= SEQUENCE {
+ *       tbsCertificate SEQUENCE {
+ *           version [0] EXPLICIT OPTIONAL,
+ *           serialNumber, signature, issuer, validity, subject,
+ *           subjectPublicKeyInfo SEQUENCE,
+ *           ...
+ *       },
+ *       ...
+ *   }
+ *
+ * @param {Buffer} raw DER-encoded certificate
+ * @returns {Buffer|null}
+ */
+function getPublicKeyInfo(raw) {
+    const certificate = readDERElement(raw, 0);
+    if (!certificate || certificate.tag !== DER_SEQUENCE) return null;
+    const tbs = readDERElement(raw, certificate.contentStart);
+    if (!tbs || tbs.tag !== DER_SEQUENCE) return null;
+    let element = readDERElement(raw, tbs.contentStart);
+    if (element && element.tag === DER_VERSION) {
+        element = readDERElement(raw, element.end);
+    }
+    // Skip serialNumber, signature, issuer, validity and subject.
+    for (let i = 0; i < 5 && element; i++) {
+        element = readDERElement(raw, element.end);
+    }
+    if (!element || element.tag !== DER_SEQUENCE || element.end > tbs.end) return null;
+    return raw.slice(element.start, element.end);
+}
+
+/**
+ * Reads DER element header at the given position.
+ *
+ * Returns element tag and positions of its start, its contents
+ * and its end, or null if the element doesn't fit into the buffer.
+ * Only single-byte tags and definite lengths are supported,
+ * which is enough for certificates.
+ *
+ * @param {Buffer} buf
+ * @param {number} pos
+ * @returns {{tag: number, start: number, contentStart: number, end: number}|null}
+ */
+function readDERElement(buf, pos) {
+    if (pos + 2 > buf.length) return null;
+    const tag = buf[pos];
+    let length = buf[pos + 1];
+    let contentStart = pos + 2;
+    if (length & 0x80) {
+        const n = length & 0x7f;
+        if (n === 0 || n > 4 || contentStart + n > buf.length) return null;
+        length = 0;
+        for (let i = 0; i < n; i++) {
+            length = length * 256 + buf[contentStart + i];
+        }
+        contentStart += n;
+    }
+    const end = contentStart + length;
+    if (end > buf.length) return null;
+    return { tag, start: pos, contentStart, end };
+}
+
+/**
+ * Returns a new error indicating public key pin mismatch.
+ *
+ * @param {string} message
+ * @returns {Error}
+ */
+function pinMismatchError(message) {
+    return codedError(message, 'pin-mismatch');
+}
+
+/**
+ * Makes HTTPS GET request.
+ *
+ * @param {https.RequestOptions} reqOptions
+ * @param {TransportOptions} options
+ * @returns {Promise<TransportResponse>}
+ */
+function request(reqOptions, options) {
+    return new Promise((fulfill, reject) => {
+        const req = https.get(Object.assign({
+            headers: options.headers,
+            timeout: options.timeout
+        }, reqOptions), res => {
+            removeAbortListener();
+            fulfill(res);
+        });
+        const removeAbortListener = onAbort(options.signal, () => {
+            req.abort();
+            reject(abortError());
+        });
+        req.on('error', err => {
+            removeAbortListener();
+            reject(err);
+        });
+        req.on('timeout', () => {
+            removeAbortListener();
+            req.abort();
+            reject(new Error('Request timed out'));
+        });
+    });
+}
+
+module.exports = {
+    createTransport,
+    checkServerIdentity
+};
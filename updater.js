@@ -6,19 +6,79 @@ const os = require('os');
 const crypto = require('crypto');
 const EventEmitter = require('events').EventEmitter;
 const mkdirp = require('mkdirp');
-const { fetchJSON, fetchAllJSONPages, fetchText, fetchFile } = require('./fetch');
+const { fetchText, fetchFile, measureLatency, fileURLToPath } = require('./fetch');
 const { verifyHash } = require('./hash');
-const { verifySize } = require('./size');
+const { verifySize, calculateSizeOrZero } = require('./size');
+const { createTransport } = require('./transport');
+const { getProviderForURL, validateScheme, MANIFEST_FILENAME } = require('./providers');
+const { applyPatch } = require('./patch');
+const { normalizePublicKey } = require('./signing');
+const { abortError, isAbortError, onAbort, createAbortController } = require('./abort');
+const { codedError } = require('./errors');
 const Manifest = require('./manifest');
+const { normalizeKey, applyKeyUpdate, getValidKeys } = require('./keys');
 const currentPlatform = require('./platform');
 
-/** Manifest filename in GitHub releases */
-const MANIFEST_FILENAME = 'manifest.txt';
-
 /** Check intervals */
 const DEFAULT_INTERVAL = 10 * 60 * 60 * 1000; // 10 hours
 const MIN_INTERVAL = 15 * 60 * 1000; // 15 minutes
 
+/**
+ * Delay before the next check after a failed one,
+ * doubled after each failure up to the check interval.
+ */
+const RETRY_DELAY = 60 * 1000; // 1 minute
+
+/** Minimum delay before the first periodic check after launch */
+const STARTUP_DELAY = 60 * 1000; // 1 minute
+
+/** Random variation of periodic check delays as a fraction of delay */
+const CHECK_JITTER = 0.1; // ±10%
+
+/** Deadline for fetching all manifests when checking them in parallel */
+const DEFAULT_CHECK_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+
+/** Channel used when deprecated allowPrerelease option is enabled */
+const BETA_CHANNEL = 'beta';
+
+/** Name of the default state directory in Electron's userData */
+const STATE_DIRECTORY_NAME = 'peerio-updater';
+
+/**
+ * Highest version file stores the highest versions of verified
+ * manifests for each channel in the state directory to
+ * protect against rollback attacks.
+ */
+const HIGHEST_VERSION_FILENAME = 'highest-version.json';
+
+/**
+ * Trusted keys file stores signed manifests that updated keys
+ * (added or revoked signing keys) in the state directory.
+ * The manifests are verified again starting from the configured
+ * public keys every time the file is read, so keys can't be added
+ * to the file without a signature by keys trusted at the time.
+ *
+ * Like other state files, it relies on the state directory being
+ * writable only by the app: whoever can write it can drop saved
+ * manifests, undoing key updates, including revocations, and can
+ * save manifests signed by a compromised key before it expired.
+ */
+const TRUSTED_KEYS_FILENAME = 'trusted-keys.json';
+
+/**
+ * Install info file stores random install ID and rollout
+ * bucket in the state directory, so that staged rollouts
+ * offer updates to the same installs on every check.
+ */
+const INSTALL_INFO_FILENAME = 'install-info.json';
+
+/** Orders of trying update file mirrors */
+const MIRROR_ORDER_MANIFEST = 'manifest'; // default
+const MIRROR_ORDER_LATENCY = 'latency';
+
+/** Minimum interval between download progress events */
+const PROGRESS_INTERVAL = 500; // half a second
+
 /**
  * Update info file stores the information
  * about update before attempting installation
@@ -26,20 +86,118 @@ const MIN_INTERVAL = 15 * 60 * 1000; // 15 minutes
  */
 const UPDATE_INFO_FILENAME = 'update-info.json';
 
+/**
+ * Download info file stores the information about
+ * the file being downloaded (its path, expected size
+ * and hash) in the downloads directory, so that an
+ * interrupted download can be resumed.
+ */
+const DOWNLOAD_INFO_FILENAME = 'download-info.json';
+
+/**
+ * Artifact info file stores the path to the installed update
+ * file and its version in the downloads directory, so that
+ * the next update can be built by applying a patch to it.
+ */
+const ARTIFACT_INFO_FILENAME = 'artifact-info.json';
+
+/**
+ * Last check file stores the time of the last successful
+ * check in the state directory, so that periodic checks
+ * are scheduled relative to it after restarts.
+ */
+const LAST_CHECK_FILENAME = 'last-check.json';
+
+/** Updater states (see getState) */
+const STATE_IDLE = 'idle';
+const STATE_CHECKING = 'checking';
+const STATE_AVAILABLE = 'available';
+const STATE_DOWNLOADING = 'downloading';
+const STATE_PAUSED = 'paused';
+const STATE_DOWNLOADED = 'downloaded';
+const STATE_INSTALLING = 'installing';
+const STATE_ERROR = 'error';
+
+/**
+ * Allowed state transitions: maps each state
+ * to the states the updater can move to from it.
+ *
+ * Downloaded state can be entered from idle when
+ * retrying installation of the update found on disk,
+ * and left for checking if that update is no longer valid.
+ */
+const STATE_TRANSITIONS = {
+    [STATE_IDLE]: [STATE_CHECKING, STATE_DOWNLOADED],
+    [STATE_CHECKING]: [STATE_IDLE, STATE_AVAILABLE, STATE_ERROR],
+    [STATE_AVAILABLE]: [STATE_CHECKING, STATE_DOWNLOADING, STATE_ERROR],
+    [STATE_DOWNLOADING]: [STATE_DOWNLOADED, STATE_PAUSED, STATE_ERROR],
+    [STATE_PAUSED]: [STATE_DOWNLOADING, STATE_IDLE, STATE_ERROR],
+    [STATE_DOWNLOADED]: [STATE_CHECKING, STATE_INSTALLING],
+    [STATE_INSTALLING]: [STATE_ERROR],
+    [STATE_ERROR]: [STATE_IDLE, STATE_CHECKING, STATE_DOWNLOADING, STATE_DOWNLOADED]
+};
+
 class Updater extends EventEmitter {
     /**
      * A manifest URL can be an actual URL to manifest,
      * e.g. https://example.com/latest-manifest.txt
-     * or a GitHub repository 'github:username/repo',
-     * which must contain MANIFEST_FILENAME in release assets.
+     * or a location handled by a provider, such as GitHub repository
+     * 'github:username/repo', which must contain manifest.txt
+     * in release assets (see providers.js).
+     *
+     * For offline updates, a manifest URL can be a file:// URL of
+     * the manifest or of the directory containing manifest.txt,
+     * e.g. on removable media. Relative file URLs in manifests
+     * are resolved relative to the manifest URL.
      *
      * Accepts options argument with the following parameters:
      *
      * @typedef {Object} UpdaterConfig
      * @property {string} version current semver version (1.0.0)
-     * @property {Array<string>} publicKeys public keys for manifest verification
+     * @property {Array<string|import('./keys').KeyEntry>} publicKeys public keys
+     *           for manifest verification, optionally with validity windows (see keys.js);
+     *           keys can also be given as contents of signify public key files
      * @property {Array<string>} manifests manifest URLs as described above
      * @property {boolean} nightly if true, uses a different "nightly" installer for Mac
+     * @property {string} [channel] release channel: 'stable' (default), 'beta',
+     *           'nightly' or custom; manifests from stable channel are accepted
+     *           in all channels
+     * @property {boolean} [allowPrerelease] deprecated: if true and channel
+     *           is not given, uses 'beta' channel
+     * @property {boolean} [channelDowngrade] if true, after switching to a channel
+     *           with lower versions (e.g. from beta to stable), offers the latest
+     *           version from it as an update instead of waiting for a newer one
+     * @property {import('./transport').Transport} [transport] function to make HTTPS
+     *           requests with (by default, uses Node's https with HTTPS_PROXY support)
+     * @property {string|Array<string>} [ca] PEM-encoded CA certificates to trust
+     *           instead of the system ones (not supported with custom transport)
+     * @property {Object<string, Array<string>>} [pins] base64-encoded SHA-256 hashes
+     *           of public keys by host name (not supported with custom transport)
+     * @property {number} [threshold] number of public keys that must
+     *           sign the manifest (1 by default)
+     * @property {number} [clockSkew] tolerance in milliseconds for checking
+     *           manifest expiration (1 hour by default)
+     * @property {boolean} [parallelCheck] if true, fetches all manifest URLs
+     *           in parallel and uses the highest verified version instead of
+     *           using the first manifest URL that works
+     * @property {number} [checkTimeout] deadline in milliseconds for fetching
+     *           manifests in parallel (2 minutes by default); manifests that
+     *           were not fetched by then are ignored
+     * @property {Object<string, import('./providers').Provider>} [providers]
+     *           manifest source providers by URL scheme in addition to
+     *           the registered ones (see providers.js)
+     * @property {string} [mirrorOrder] order of trying update file URLs:
+     *           'manifest' (default) to try them in the order they are listed
+     *           in manifest, or 'latency' to try the fastest responding first
+     * @property {number} [maxDownloadRate] maximum rate in bytes per second for
+     *           downloading updates (unlimited by default); can be changed
+     *           with setMaxDownloadRate() and lifted with setForeground()
+     * @property {string} [stateDirectory] durable directory private to the app
+     *           for storing state that protects updates, such as the highest
+     *           seen versions ('peerio-updater' in Electron's userData by
+     *           default, required outside of Electron); unlike downloads
+     *           directory, it must not be shared with other users or wiped
+     *           on reboot, so the system temporary directory must not be used
      *
      * @param {UpdaterConfig} config updater configuration
      */
@@ -53,17 +211,69 @@ class Updater extends EventEmitter {
         if (this.manifestURLs.length === 0) {
             throw new Error('No manifest URLs given');
         }
-        this.publicKeys = config.publicKeys;
+        this.providers = config.providers || {};
+        Object.keys(this.providers).forEach(validateScheme);
+        // Keys can be given as contents of signify public key files.
+        this.publicKeys = config.publicKeys.map(entry => {
+            if (typeof entry === 'string') {
+                return normalizePublicKey(entry);
+            }
+            if (entry && typeof entry.key === 'string') {
+                return Object.assign({}, entry, { key: normalizePublicKey(entry.key) });
+            }
+            return entry;
+        });
         if (this.publicKeys.length === 0) {
             throw new Error('No public keys given');
         }
+        this.threshold = config.threshold == null ? 1 : config.threshold;
+        if (!(this.threshold >= 1) || this.threshold > this.publicKeys.length) {
+            throw new Error(`Invalid signature threshold: ${this.threshold}`);
+        }
         this.nightly = !!config.nightly;
-        this.allowPrerelease = false;
+        this.channel = config.channel || Manifest.STABLE_CHANNEL;
+        if (config.allowPrerelease != null && !config.channel) {
+            this.allowPrerelease = config.allowPrerelease;
+        }
+        this.channelDowngrade = !!config.channelDowngrade;
+        this.clockSkew = config.clockSkew;
+        this.parallelCheck = !!config.parallelCheck;
+        this.checkTimeout = config.checkTimeout || DEFAULT_CHECK_TIMEOUT;
+        this.mirrorOrder = config.mirrorOrder || MIRROR_ORDER_MANIFEST;
+        if (this.mirrorOrder !== MIRROR_ORDER_MANIFEST && this.mirrorOrder !== MIRROR_ORDER_LATENCY) {
+            throw new Error(`Invalid mirror order: ${this.mirrorOrder}`);
+        }
+        this.maxDownloadRate = config.maxDownloadRate || 0;
+        validateRate(this.maxDownloadRate);
+        this._stateDirectory = config.stateDirectory || getDefaultStateDirectory();
+        if (!this._stateDirectory) {
+            throw new Error('No state directory given and Electron app is not available');
+        }
+        this.foreground = false;
+        if (config.transport && (config.ca || config.pins)) {
+            throw new Error('Custom transport must handle CA and pins by itself');
+        }
+        this.transport = config.transport || createTransport({
+            ca: config.ca,
+            pins: config.pins
+        });
         this.newVersion = null;
         this.downloadedFile = null;
+        this.downloadedFrom = null;
+
+        // Current state, last download progress and
+        // last error, see getState().
+        this.state = STATE_IDLE;
+        this.progress = null;
+        this.lastError = null;
+
+        // Controller to cancel the check or download in progress,
+        // and the download promise to wait for when pausing it.
+        this._abortController = null;
+        this._downloadPromise = null;
 
-        this.checking = false;
-        this.downloading = false;
+        // Number of failed checks in a row, see _getNextCheckDelay().
+        this._failedChecks = 0;
 
         // Number of attempts to install the update.
         // Read from file in failedInstallAttempts()
@@ -73,224 +283,1292 @@ class Updater extends EventEmitter {
     }
 
     /**
-     * Sets directory for storing downloads.
+     * Deprecated: use channel option instead.
+     *
+     * True if the configured channel is not stable. Setting it
+     * to true switches from stable to beta channel, and setting
+     * it to false switches to stable channel.
+     *
+     * @returns {boolean}
+     */
+    get allowPrerelease() {
+        return this.channel !== Manifest.STABLE_CHANNEL;
+    }
+
+    set allowPrerelease(value) {
+        console.warn('Updater: allowPrerelease is deprecated, use channel option instead');
+        if (!value) {
+            this.channel = Manifest.STABLE_CHANNEL;
+        } else if (this.channel === Manifest.STABLE_CHANNEL) {
+            this.channel = BETA_CHANNEL;
+        }
+    }
+
+    /**
+     * Sets directory for storing downloads.
+     *
+     * @param {string} directory directory for downloads
+     */
+    setDownloadsDirectory(directory) {
+        this._directory = directory;
+    }
+
+    /**
+     * Returns directory for storing downloads.
+     */
+    getDownloadsDirectory() {
+        return this._directory;
+    }
+
+    /**
+     * Sets maximum download rate in bytes per second
+     * (0 for unlimited). The new rate also applies
+     * to the download in progress.
+     *
+     * @param {number} rate
+     */
+    setMaxDownloadRate(rate) {
+        validateRate(rate);
+        this.maxDownloadRate = rate;
+    }
+
+    /**
+     * Enables or disables foreground mode, which lifts the
+     * download rate limit, e.g. when the user explicitly asked
+     * to update now. Also applies to the download in progress.
+     *
+     * @param {boolean} foreground
+     */
+    setForeground(foreground) {
+        this.foreground = !!foreground;
+    }
+
+    /**
+     * Returns the current maximum download rate for fetchFile,
+     * which is 0 (unlimited) in foreground mode.
+     *
+     * @returns {number}
+     */
+    _getDownloadRate() {
+        return this.foreground ? 0 : this.maxDownloadRate;
+    }
+
+    /**
+     * Returns a snapshot of the updater state:
+     *
+     * {
+     *   state: string, // 'idle', 'checking', 'available', 'downloading',
+     *                  // 'paused', 'downloaded', 'installing' or 'error'
+     *   version: string|null, // version of the found update
+     *   progress: Object|null, // last 'download-progress' event argument
+     *   lastError: Error|null // the last error that moved updater to error state
+     * }
+     *
+     * Emits 'state-changed' with the new snapshot and
+     * the previous state name whenever the state changes.
+     */
+    getState() {
+        return {
+            state: this.state,
+            version: this.newVersion ? this.newVersion.version : null,
+            progress: this.progress,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Returns true if the updater can move
+     * from the current state to the given one.
+     *
+     * @param {string} state
+     * @returns {boolean}
+     */
+    _canSetState(state) {
+        return STATE_TRANSITIONS[this.state].indexOf(state) >= 0;
+    }
+
+    /**
+     * Moves the updater to the given state and emits 'state-changed'.
+     * Throws an error with code 'invalid-state-transition'
+     * if the transition from the current state is not allowed.
+     *
+     * @param {string} state new state
+     * @param {Error} [error] error that caused the transition to error state
+     */
+    _setState(state, error) {
+        const previous = this.state;
+        if (!this._canSetState(state)) {
+            throw codedError(`Invalid updater state transition: ${previous} -> ${state}`, 'invalid-state-transition');
+        }
+        this.state = state;
+        if (state === STATE_ERROR) {
+            this.lastError = error || null;
+        }
+        if (state === STATE_DOWNLOADING) {
+            this.progress = null;
+        }
+        this.emit('state-changed', this.getState(), previous);
+    }
+
+    /**
+     * Checks for new update.
+     *
+     * Emits one of:
+     *  'update-available'
+     *  'update-not-available'
+     *  'update-not-offered' (newer version exists, but it's not
+     *    offered to this install yet due to staged rollout or targeting)
+     *  'channel-downgrade-available' (the current version is from another
+     *    channel, and the configured channel has a lower version; it can be
+     *    installed by enabling channelDowngrade option)
+     *  'error'
+     *
+     * May also emit 'rollback-detected' if a manifest with the version
+     * lower than the previously seen one is received.
+     *
+     * Expired manifests are skipped; if none of the manifests
+     * could be used because the last one has expired, the error
+     * has code 'manifest-expired'.
+     *
+     * Does nothing if the updater is already checking, downloading,
+     * has downloaded or is installing the update. Once the update is
+     * downloaded, no more checks are made until it's installed, even
+     * if a newer version is released in the meantime: it will be found
+     * by the first check after restart (or after a failed install).
+     *
+     * @param {number?} manifestURLIndex - optional manifest URL index to check
+     */
+    async checkForUpdates(manifestURLIndex = 0) {
+        if (!this._canSetState(STATE_CHECKING) || this.state === STATE_DOWNLOADED) {
+            console.log(`Updater: not checking for updates while ${this.state}`);
+            return;
+        }
+        this.emit('checking-for-update');
+        try {
+            if (await this._check(manifestURLIndex)) {
+                this.emit('update-available', this.newVersion);
+                if (!this.downloadedFile) {
+                    // Start download automatically.
+                    // Don't care to await it, since it's event-based.
+                    this._downloadUpdate();
+                }
+            } else if (this.notOfferedVersion) {
+                this.emit('update-not-offered', this.notOfferedVersion);
+            } else if (this.channelDowngradeVersion) {
+                this.emit('channel-downgrade-available', this.channelDowngradeVersion);
+            } else {
+                this.emit('update-not-available');
+            }
+        } catch (err) {
+            if (isAbortError(err)) {
+                // Cancelled by stopCheckingPeriodically().
+                return;
+            }
+            this.emit('error', err);
+        }
+    }
+
+    /**
+     * Downloads the update.
+     *
+     * Emits 'download-progress' while downloading, then one of:
+     *   'update-downloaded' (with file path, manifest, mandatory flag and
+     *     URL the file was downloaded from, which is null if it was
+     *     downloaded before)
+     *   'error'
+     *
+     * Nothing is emitted if the download is paused or cancelled.
+     *
+     * @param {string?} [platform] optional platform. Current platform by default.
+     */
+    async _downloadUpdate(platform) {
+        try {
+            await this._download(platform);
+            this.emit(
+                'update-downloaded',
+                this.downloadedFile,
+                this.newVersion,
+                this.newVersion.isMandatorySince(this.currentVersion),
+                this.downloadedFrom
+            );
+        } catch (err) {
+            if (isAbortError(err)) {
+                return;
+            }
+            this.emit('error', err);
+        }
+    }
+
+    /**
+     * Pauses the download in progress, keeping the partially
+     * downloaded file, so that it can be continued with resumeDownload().
+     *
+     * Returns a promise resolving when the download has stopped.
+     */
+    async pauseDownload() {
+        if (this.state !== STATE_DOWNLOADING) {
+            return;
+        }
+        const download = this._downloadPromise;
+        this._abortController.abort();
+        await download.catch(() => { /* reported by the caller of _download */ });
+    }
+
+    /**
+     * Continues the paused download.
+     *
+     * Emits the same events as the download started after
+     * checking for updates ('update-downloaded' or 'error').
+     */
+    async resumeDownload() {
+        if (this.state !== STATE_PAUSED) {
+            console.log(`Updater: no paused download to resume while ${this.state}`);
+            return;
+        }
+        await this._downloadUpdate(this._downloadPlatform);
+    }
+
+    /**
+     * Cancels the download in progress, paused or failed download,
+     * deletes the partially downloaded file, and returns the updater
+     * to idle state, so that the update is found again by the next check.
+     */
+    async cancelDownload() {
+        await this.pauseDownload();
+        if (this.state !== STATE_PAUSED && this.state !== STATE_ERROR) {
+            return;
+        }
+        let info = null;
+        try {
+            info = await readJSONFile(this._getDownloadInfoFilePath());
+        } catch (err) {
+            // No partially downloaded file.
+        }
+        if (info && info.file && info.file.startsWith(this._directory)) {
+            await this._discardDownloadFile(info.file);
+        }
+        console.log('Updater: download cancelled');
+        this.newVersion = null;
+        this.downloadedFrom = null;
+        this.progress = null;
+        this._setState(STATE_IDLE);
+    }
+
+    /**
+     * Checks for updates periodically.
+     * By default, every 10 hours.
+     *
+     * The first check is scheduled relative to the last successful
+     * check saved in the state directory (but not earlier than
+     * STARTUP_DELAY after calling this method). After a failed
+     * check, the next one is retried sooner, backing off
+     * exponentially up to the interval. All delays are randomized
+     * by CHECK_JITTER, so that installs don't check at the same time.
+     *
+     * @param {number?} [interval] check interval in milliseconds
+     */
+    checkPeriodically(interval) {
+        this._stopCheckTimer();
+        if (interval == null) interval = DEFAULT_INTERVAL;
+        if (interval < MIN_INTERVAL) interval = MIN_INTERVAL;
+        this._checkInterval = interval;
+        const token = this._periodicCheckToken = {};
+        this._getFirstCheckDelay().then(delay => {
+            if (this._periodicCheckToken === token) {
+                this._scheduleCheck(delay);
+            }
+        });
+    }
+
+    /**
+     * Stops periodic checks and cancels the check in progress.
+     */
+    stopCheckingPeriodically() {
+        this._stopCheckTimer();
+        if (this.state === STATE_CHECKING && this._abortController) {
+            this._abortController.abort();
+        }
+    }
+
+    _stopCheckTimer() {
+        this._periodicCheckToken = null;
+        if (this._checkTimer) {
+            clearTimeout(this._checkTimer);
+            this._checkTimer = null;
+        }
+    }
+
+    /**
+     * Schedules periodic check after the randomized delay,
+     * which then schedules the next one even if the check
+     * threw, e.g. when emitting 'error' without listeners.
+     *
+     * @param {number} delay delay in milliseconds
+     */
+    _scheduleCheck(delay) {
+        const token = this._periodicCheckToken;
+        this._checkTimer = setTimeout(async () => {
+            this._checkTimer = null;
+            try {
+                await this.checkForUpdates();
+            } catch (err) {
+                console.error('Periodic update check failed: ', err);
+            }
+            if (this._periodicCheckToken === token) {
+                this._scheduleCheck(this._getNextCheckDelay());
+            }
+        }, randomizeDelay(delay));
+    }
+
+    /**
+     * Returns a promise resolving to the delay before the first
+     * periodic check: the remaining time until the interval since
+     * the last successful check passes, but at least STARTUP_DELAY.
+     *
+     * @returns {Promise<number>}
+     */
+    async _getFirstCheckDelay() {
+        const interval = this._checkInterval;
+        const last = await this._readLastCheckTime();
+        const remaining = last ? last.getTime() + interval - Date.now() : interval;
+        return Math.min(interval, Math.max(STARTUP_DELAY, remaining));
+    }
+
+    /**
+     * Returns the delay before the next periodic check: the check
+     * interval, or the backoff delay if the last checks failed.
+     *
+     * @returns {number}
+     */
+    _getNextCheckDelay() {
+        if (this._failedChecks > 0) {
+            return Math.min(this._checkInterval, RETRY_DELAY * Math.pow(2, this._failedChecks - 1));
+        }
+        return this._checkInterval;
+    }
+
+    _getLastCheckFilePath() {
+        return path.join(this._stateDirectory, LAST_CHECK_FILENAME);
+    }
+
+    /**
+     * Returns a promise resolving to the time of the last
+     * successful check, or null if it's not known.
+     *
+     * @returns {Promise<Date|null>}
+     */
+    async _readLastCheckTime() {
+        try {
+            const info = await readJSONFile(this._getLastCheckFilePath());
+            const time = new Date(info.time);
+            return isNaN(time.getTime()) ? null : time;
+        } catch (err) {
+            return null; // no last check file
+        }
+    }
+
+    /**
+     * Saves the time of the last successful check.
+     * Logs errors instead of throwing them.
+     *
+     * @param {Date} time
+     */
+    async _saveLastCheckTime(time) {
+        try {
+            await this._createStateDirectory();
+            await writeJSONFile(this._getLastCheckFilePath(), { time: time.toISOString() });
+        } catch (err) {
+            // Log the error and continue.
+            console.error('Failed to save last check time: ', err);
+        }
+    }
+
+    /**
+     * Checks for new update.
+     *
+     * Returns a promise resolving to manifest if the new version is found,
+     * to null if it's not found; throws if there was an error.
+     *
+     * Also sets this.newVersion to the new update if it was found.
+     * If the new update was found, but it's not offered to this
+     * install, resolves to null and sets this.notOfferedVersion.
+     *
+     * Manifest URLs are tried one by one until one of them
+     * works, unless parallelCheck option is enabled, in which case
+     * all of them are fetched at once (see _fetchBestManifest).
+     *
+     * Moves the updater to checking state, and then to available
+     * state if the new version is found, idle if not, or error.
+     * If the check is cancelled, moves the updater back to idle
+     * state and rejects with error having code 'aborted'.
+     *
+     * @param {number?} manifestURLIndex - optional manifest URL index to check
+     * @returns {Promise<Manifest|null>}
+     */
+    async _check(manifestURLIndex = 0) {
+        this._setState(STATE_CHECKING);
+        const controller = this._abortController = createAbortController();
+        this.lastCheckTime = new Date();
+        this.notOfferedVersion = null;
+        this.channelDowngradeVersion = null;
+        try {
+            const manifest = await this._findNewVersion(manifestURLIndex);
+            this._failedChecks = 0;
+            await this._saveLastCheckTime(this.lastCheckTime);
+            this._setState(manifest ? STATE_AVAILABLE : STATE_IDLE);
+            return manifest;
+        } catch (err) {
+            if (controller.signal.aborted) {
+                console.log('Updater: check cancelled');
+                this._setState(STATE_IDLE);
+                throw abortError();
+            }
+            console.log('Error checking for update: ', err);
+            this._failedChecks++;
+            const error = err.code === 'pin-mismatch'
+                ? err
+                : codedError(`Error checking for update: ${err}`, err.code);
+            this._setState(STATE_ERROR, error);
+            throw error;
+        } finally {
+            if (this._abortController === controller) {
+                this._abortController = null;
+            }
+        }
+    }
+
+    /**
+     * Fetches manifest starting from the given manifest URL
+     * index and returns a promise resolving to it if it has
+     * a new version for this install, or to null otherwise.
+     *
+     * See _check for details.
+     *
+     * @param {number} manifestURLIndex
+     * @returns {Promise<Manifest|null>}
+     */
+    async _findNewVersion(manifestURLIndex) {
+        try {
+            const manifest = this.parallelCheck
+                ? await this._fetchBestManifest()
+                : await this._fetchManifest(this.manifestURLs[manifestURLIndex]);
+            if (manifest && this._isChannelDowngrade(manifest)) {
+                if (!this.channelDowngrade) {
+                    console.log(`Updater: version ${manifest.version} from ${this.channel} channel ` +
+                        `is lower than the current one`);
+                    this.channelDowngradeVersion = manifest;
+                    return null;
+                }
+                console.log(`Updater: switching to ${this.channel} channel version ${manifest.version}`);
+                this.newVersion = manifest;
+                return manifest;
+            }
+            if (manifest && manifest.isNewerVersionThan(this.currentVersion)) {
+                if (!await this._isOffered(manifest)) {
+                    console.log(`Updater: new version ${manifest.version} is not offered to this install yet`);
+                    this.notOfferedVersion = manifest;
+                    return null;
+                }
+                console.log(`Updater: new version ${manifest.version}`);
+                this.newVersion = manifest;
+                return manifest;
+            }
+            return null;
+        } catch (err) {
+            if (err.code === 'pin-mismatch') {
+                // Someone may be intercepting connections,
+                // report it instead of trying other URLs.
+                throw err;
+            }
+            if (!this.parallelCheck && !isAbortError(err) && manifestURLIndex < this.manifestURLs.length - 1) {
+                return await this._findNewVersion(manifestURLIndex + 1); // try next URL
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Returns options for fetch functions.
+     *
+     * @param {AbortSignal} [signal] signal to abort requests with
+     *        (by default, the signal of the check or download in progress)
+     * @returns {import('./fetch').FetchOptions}
+     */
+    _fetchOptions(signal) {
+        return {
+            transport: this.transport,
+            signal: signal || (this._abortController ? this._abortController.signal : undefined)
+        };
+    }
+
+    /**
+     * Returns a promise resolving to the verified manifest from the given
+     * address after checking it for rollback and applying its key updates,
+     * or to undefined if there's no new release.
+     *
+     * @param {string} address manifest URL
+     * @returns {Promise<Manifest|undefined>}
+     */
+    _fetchManifest(address) {
+        return this._fetchVerifiedManifest(address)
+            .then(manifest => manifest && this._acceptManifest(manifest));
+    }
+
+    /**
+     * Checks the verified manifest for rollback and remembers
+     * its version and key updates.
+     *
+     * @param {Manifest} manifest
+     * @returns {Promise<Manifest>} the same manifest
+     */
+    _acceptManifest(manifest) {
+        return this._checkRollback(manifest)
+            .then(manifest => this._updateTrustedKeys(manifest));
+    }
+
+    /**
+     * Fetches all manifest URLs in parallel and returns a promise
+     * resolving to the verified manifest with the highest version
+     * (preferring the earlier URL if versions are equal), or to
+     * undefined if there are no new releases.
+     *
+     * Manifests that were not fetched by checkTimeout are ignored,
+     * and their requests are aborted.
+     * Throws if no manifests were fetched, or if any of the
+     * requests failed because of public key pin mismatch.
+     *
+     * Logs manifests that have the same version, but different
+     * contents, and manifests with lower versions.
+     *
+     * @returns {Promise<Manifest|undefined>}
+     */
+    async _fetchBestManifest() {
+        let timer;
+        const deadline = new Promise((fulfill, reject) => {
+            timer = setTimeout(() => reject(new Error('Manifest request timed out')), this.checkTimeout);
+        });
+        deadline.catch(() => { /* handled by each request */ });
+        // Each request has its own controller, which is aborted
+        // at the deadline or when the whole check is cancelled.
+        const parentSignal = this._abortController ? this._abortController.signal : undefined;
+        const controllers = this.manifestURLs.map(() => createAbortController());
+        const removeAbortListener = onAbort(parentSignal, () => controllers.forEach(c => c.abort()));
+        const results = await Promise.all(this.manifestURLs.map((address, i) =>
+            Promise.race([this._fetchVerifiedManifest(address, controllers[i].signal), deadline])
+                .then(manifest => ({ address, manifest }), error => {
+                    controllers[i].abort();
+                    return { address, error };
+                })
+        ));
+        clearTimeout(timer);
+        removeAbortListener();
+
+        let best = null;
+        let lastError = null;
+        results.forEach(({ address, manifest, error }) => {
+            if (error) {
+                console.log(`Failed to fetch manifest from ${address}:`, error);
+                if (!lastError || error.code === 'pin-mismatch') lastError = error;
+                return;
+            }
+            if (manifest && (!best || semver.gt(manifest.version, best.manifest.version))) {
+                best = { address, manifest };
+            }
+        });
+        if (lastError && (lastError.code === 'pin-mismatch' || results.every(r => r.error))) {
+            throw lastError;
+        }
+        if (!best) {
+            return undefined;
+        }
+        results.forEach(({ address, manifest }) => {
+            if (!manifest || address === best.address) return;
+            if (manifest.version !== best.manifest.version) {
+                console.log(`Manifest from ${address} has older version ${manifest.version}`);
+            } else if (!isSameManifestData(manifest, best.manifest)) {
+                console.log(`Manifests from ${best.address} and ${address} ` +
+                    `have different contents for version ${manifest.version}`);
+            }
+        });
+        console.log(`Using manifest from ${best.address}`);
+        return this._acceptManifest(best.manifest);
+    }
+
+    /**
+     * Fetches manifest from the given address, verifies
+     * its signatures and checks that it's from our channel.
+     *
+     * For addresses handled by providers, resolves to
+     * undefined if there's no new release.
+     *
+     * @param {string} address manifest URL
+     * @param {AbortSignal} [signal] signal to abort requests with
+     * @returns {Promise<Manifest|undefined>}
+     */
+    async _fetchVerifiedManifest(address, signal) {
+        const source = getProviderForURL(address, this.providers);
+        let promisedManifest;
+        if (source) {
+            promisedManifest = source.provider.fetchManifest(source.location, {
+                currentVersion: this.currentVersion,
+                channel: this.channel,
+                switchingChannel: this._isSwitchingChannel(),
+                fetchOptions: this._fetchOptions(signal)
+            });
+        } else {
+            const location = await getManifestLocation(address);
+            console.log('Fetching', location);
+            promisedManifest = fetchText(location, this._fetchOptions(signal))
+                .then(text => ({ text, url: location }));
+        }
+        const [fetched, publicKeys] = await Promise.all([
+            promisedManifest,
+            this._getTrustedKeys()
+        ]);
+        if (fetched == null) {
+            return undefined;
+        }
+        console.log('Loading manifest');
+        const manifest = Manifest.loadFromString(publicKeys, fetched.text, {
+            threshold: this.threshold,
+            clockSkew: this.clockSkew,
+            location: fetched.url
+        });
+        return this._checkChannel(manifest);
+    }
+
+    /**
+     * Returns true if the current version is from a channel other
+     * than the configured one, e.g. after switching from beta to stable.
+     * Versions with prerelease tags that are not channels (such as
+     * 1.2.0-staging) are considered to be from the configured channel.
+     *
+     * @returns {boolean}
+     */
+    _isSwitchingChannel() {
+        const channel = Manifest.getVersionChannel(this.currentVersion, [this.channel]);
+        return channel !== null && channel !== this.channel;
+    }
+
+    /**
+     * Returns true if the manifest is from the configured channel,
+     * which we've just switched to, and has a lower version than
+     * the current one.
+     *
+     * @param {Manifest} manifest
+     * @returns {boolean}
+     */
+    _isChannelDowngrade(manifest) {
+        return this._isSwitchingChannel() &&
+            manifest.channel === this.channel &&
+            semver.lt(manifest.version, this.currentVersion);
+    }
+
+    /**
+     * Throws if manifest declares a channel other
+     * than the configured or stable one.
+     *
+     * @param {Manifest} manifest
+     * @returns {Manifest} the same manifest
+     */
+    _checkChannel(manifest) {
+        const channel = manifest.channel;
+        if (channel && channel !== this.channel && channel !== Manifest.STABLE_CHANNEL) {
+            throw new Error(`Manifest ${manifest.version} is for ${channel} channel, not ${this.channel}`);
+        }
+        return manifest;
+    }
+
+    /**
+     * Returns a promise resolving to true if the manifest
+     * targets this install and its rollout bucket.
+     *
+     * @param {Manifest} manifest
+     * @returns {Promise<boolean>}
+     */
+    async _isOffered(manifest) {
+        const install = await this._getInstallInfo();
+        return manifest.isOfferedTo({
+            version: this.currentVersion,
+            id: install.id,
+            bucket: install.bucket
+        });
+    }
+
+    _getInstallInfoFilePath() {
+        return path.join(this._stateDirectory, INSTALL_INFO_FILENAME);
+    }
+
+    /**
+     * Returns a promise resolving to install info:
+     *
+     * {
+     *   id: string, // random hex-encoded install ID
+     *   bucket: number // random number from 0 to 100 (exclusive)
+     * }
+     *
+     * Creates and saves new random info if it doesn't exist.
+     *
+     * @returns {Promise<{id: string, bucket: number}>}
+     */
+    async _getInstallInfo() {
+        if (this._installInfo) {
+            return this._installInfo;
+        }
+        let info = null;
+        try {
+            info = await readJSONFile(this._getInstallInfoFilePath());
+        } catch (err) {
+            // No install info yet.
+        }
+        if (!info || typeof info.id !== 'string' || !(info.bucket >= 0 && info.bucket < 100)) {
+            info = {
+                id: crypto.randomBytes(16).toString('hex'),
+                bucket: crypto.randomBytes(4).readUInt32BE(0) / 0x100000000 * 100
+            };
+            try {
+                await this._createStateDirectory();
+                await writeJSONFile(this._getInstallInfoFilePath(), info);
+            } catch (err) {
+                // Log the error and continue.
+                console.error('Failed to save install info: ', err);
+            }
+        }
+        this._installInfo = info;
+        return info;
+    }
+
+    /**
+     * Returns a promise resolving to the random ID of this install,
+     * which can be used in manifests to target updates to it.
+     *
+     * @returns {Promise<string>}
+     */
+    async getInstallId() {
+        return (await this._getInstallInfo()).id;
+    }
+
+    /**
+     * Protects against rollback attacks, in which an old validly
+     * signed manifest is served to hide the newer version.
+     *
+     * Remembers the highest version of verified manifests for each
+     * channel, and if the given manifest has a lower version than
+     * the one from the same channel, emits 'rollback-detected'
+     * with both versions and throws an error with code 'rollback-detected'.
+     *
+     * @param {Manifest} manifest verified manifest
+     * @returns {Promise<Manifest>} the same manifest
+     */
+    async _checkRollback(manifest) {
+        const channel = manifest.channel || this.channel;
+        let versions = {};
+        try {
+            const info = await readJSONFile(this._getHighestVersionFilePath());
+            versions = info.versions || {};
+        } catch (err) {
+            // Didn't see any manifests yet.
+        }
+        const highest = semver.valid(versions[channel]);
+        if (highest && semver.lt(manifest.version, highest)) {
+            console.log(`Rollback detected: got ${manifest.version}, previously seen ${highest}`);
+            this.emit('rollback-detected', manifest.version, highest);
+            throw codedError(
+                `Manifest version ${manifest.version} is lower than previously seen ${highest}`,
+                'rollback-detected'
+            );
+        }
+        if (!highest || semver.gt(manifest.version, highest)) {
+            versions[channel] = manifest.version;
+            try {
+                await this._createStateDirectory();
+                await writeJSONFile(this._getHighestVersionFilePath(), { versions });
+            } catch (err) {
+                // Log the error and continue.
+                console.error('Failed to remember manifest version: ', err);
+            }
+        }
+        return manifest;
+    }
+
+    _getHighestVersionFilePath() {
+        return path.join(this._stateDirectory, HIGHEST_VERSION_FILENAME);
+    }
+
+    _getTrustedKeysFilePath() {
+        return path.join(this._stateDirectory, TRUSTED_KEYS_FILENAME);
+    }
+
+    /**
+     * Returns a promise resolving to the chain of saved manifests
+     * that updated keys, in the order they were accepted.
+     * Each entry has the signed manifest text.
+     *
+     * @returns {Promise<Array<{text: string}>>}
+     */
+    async _readKeyChain() {
+        try {
+            const info = await readJSONFile(this._getTrustedKeysFilePath());
+            return Array.isArray(info.manifests) ? info.manifests : [];
+        } catch (err) {
+            // No key updates yet.
+            return [];
+        }
+    }
+
+    /**
+     * Returns a promise resolving to the verified part of the key
+     * chain and the key set with key updates from it applied.
      *
-     * @param {string} directory directory for downloads
+     * Each saved manifest is verified with the keys trusted before
+     * it, starting from the configured public keys. Key validity
+     * is checked at the manifest's signed date, which can't be
+     * earlier than the date of the previous manifest or in the future.
+     * If a manifest fails verification, it and all manifests
+     * after it are ignored.
+     *
+     * @returns {Promise<{chain: Array<{text: string}>, keys: Array<import('./keys').KeyEntry>, lastDate: number}>}
      */
-    setDownloadsDirectory(directory) {
-        this._directory = directory;
+    async _verifyKeyChain() {
+        const chain = [];
+        let keys = this.publicKeys.map(normalizeKey);
+        let lastDate = 0;
+        for (const entry of await this._readKeyChain()) {
+            try {
+                const manifest = Manifest.loadFromString(keys, entry.text, {
+                    threshold: this.threshold,
+                    clockSkew: this.clockSkew,
+                    atSignedDate: true
+                });
+                const date = manifest.date.getTime();
+                const clockSkew = this.clockSkew != null ? this.clockSkew : Manifest.DEFAULT_CLOCK_SKEW;
+                if (date < lastDate || date > Date.now() + clockSkew) {
+                    throw new Error(`Manifest ${manifest.version} has unexpected date ${manifest.date.toISOString()}`);
+                }
+                lastDate = date;
+                keys = applyKeyUpdate(keys, manifest.getKeyUpdate() || {});
+                chain.push({ text: entry.text });
+            } catch (err) {
+                console.error('Ignoring saved key updates: failed to verify manifest: ', err);
+                break;
+            }
+        }
+        return { chain, keys, lastDate };
     }
 
     /**
-     * Returns directory for storing downloads.
+     * Returns a promise resolving to the key set for manifest
+     * verification: configured public keys with key updates
+     * from the saved manifests applied.
+     *
+     * @returns {Promise<Array<import('./keys').KeyEntry>>}
      */
-    getDownloadsDirectory() {
-        return this._directory;
+    async _getTrustedKeys() {
+        return (await this._verifyKeyChain()).keys;
     }
 
     /**
-     * Checks for new update.
+     * Remembers keys added and revoked by the verified manifest,
+     * so that the next manifests can be signed by the new keys.
      *
-     * Emits one of:
-     *  'update-available'
-     *  'update-not-available'
-     *  'error'
+     * Saves the signed manifest to the key chain (see _verifyKeyChain).
+     * Ignores the update if it doesn't change trusted keys, if the
+     * manifest is dated before the previous key update (or has no date),
+     * or if it leaves less valid keys than required by signature threshold.
      *
-     * @param {number?} manifestURLIndex - optional manifest URL index to check
+     * @param {Manifest} manifest verified manifest
+     * @returns {Promise<Manifest>} the same manifest
      */
-    async checkForUpdates(manifestURLIndex = 0) {
-        this.lastCheckTime = new Date();
-        this.checking = true;
-        this.emit('checking-for-update');
+    async _updateTrustedKeys(manifest) {
+        const update = manifest.getKeyUpdate();
+        if (!update || !manifest.source) {
+            return manifest;
+        }
+        const { chain, keys, lastDate } = await this._verifyKeyChain();
+        const updated = applyKeyUpdate(keys, update);
+        if (JSON.stringify(updated) === JSON.stringify(keys)) {
+            return manifest;
+        }
+        if (!(manifest.date.getTime() >= lastDate)) {
+            console.error('Ignoring key update from manifest: it is not dated after the previous key update');
+            return manifest;
+        }
+        if (getValidKeys(updated).length < this.threshold) {
+            console.error('Ignoring key update from manifest: not enough valid keys would be left');
+            return manifest;
+        }
         try {
-            if (await this._check()) {
-                this.emit('update-available', this.newVersion);
-                if (!this.downloading && !this.downloadedFile) {
-                    // Start download automatically.
-                    // Don't care to await it, since it's event-based.
-                    this._downloadUpdate();
-                }
-            } else {
-                this.emit('update-not-available');
-            }
+            chain.push({ text: manifest.source });
+            await this._createStateDirectory();
+            await writeJSONFile(this._getTrustedKeysFilePath(), { manifests: chain });
+            console.log(`Updated trusted keys from manifest ${manifest.version}`);
         } catch (err) {
-            this.emit('error', err);
+            // Log the error and continue.
+            console.error('Failed to save trusted keys: ', err);
         }
+        return manifest;
     }
 
     /**
-     * Downloads the update.
+     * Downloads the new version found by _check for the given platform
+     * and returns a promise resolving to the path of the verified file.
      *
-     * Emits one of:
-     *   'update-downloaded'
-     *   'error'
+     * Moves the updater to downloading state, and then
+     * to downloaded state if successful, or error (also if the manifest
+     * has no file for the platform). If the download
+     * is stopped with pauseDownload() or cancelDownload(), moves the
+     * updater to paused state and rejects with error having code 'aborted'.
      *
      * @param {string?} [platform] optional platform. Current platform by default.
+     * @returns {Promise<string>}
      */
-    async _downloadUpdate(platform) {
+    async _download(platform) {
+        if (this.state === STATE_DOWNLOADING) {
+            throw new Error('Download is already in progress');
+        }
+        if (!this.newVersion) {
+            throw new Error('No new version to download');
+        }
+        const addresses = this.newVersion.getFileURLs(platform);
+        const size = this.newVersion.getSize(platform);
+        const hash = this.newVersion.getSha512(platform);
+        if (addresses.length === 0 || size == null || hash == null) {
+            const err = new Error('No file in manifest for the current platform');
+            if (this._canSetState(STATE_ERROR)) {
+                this._setState(STATE_ERROR, err);
+            }
+            throw err;
+        }
+        this._setState(STATE_DOWNLOADING);
+        this._downloadPlatform = platform;
+        this._abortController = createAbortController();
+        this._downloadPromise = this._runDownload(platform, addresses, size, hash);
+        return this._downloadPromise;
+    }
+
+    /**
+     * Performs the download started by _download.
+     *
+     * @param {string?} platform
+     * @param {Array<string>} addresses file URLs
+     * @param {number} size expected file size
+     * @param {string} hash expected hex-encoded SHA-512 hash
+     * @returns {Promise<string>}
+     */
+    async _runDownload(platform, addresses, size, hash) {
+        const controller = this._abortController;
         try {
-            await this._download()
-            this.emit(
-                'update-downloaded',
-                this.downloadedFile,
-                this.newVersion,
-                this.newVersion.isMandatorySince(this.currentVersion)
-            );
+            await this._createDownloadsDirectory();
+            this.downloadedFrom = null;
+            const patched = await this._downloadPatched(platform, size, hash);
+            if (patched) {
+                this.downloadedFile = patched;
+                this._setState(STATE_DOWNLOADED);
+                return patched;
+            }
+            const tmpfile = await this._prepareDownloadFile(size, hash);
+            if (await calculateSizeOrZero(tmpfile) < size) {
+                this.downloadedFrom = await this._fetchFromMirrors(
+                    await this._orderMirrors(addresses), tmpfile, size, hash);
+            } else {
+                // File has been downloaded before, verify it.
+                try {
+                    await verifySize(size, tmpfile);
+                    await verifyHash(hash, tmpfile);
+                } catch (err) {
+                    await this._discardDownloadFile(tmpfile);
+                    throw err;
+                }
+            }
+            this.downloadedFile = tmpfile;
+            this._setState(STATE_DOWNLOADED);
+            return tmpfile;
         } catch (err) {
-            this.emit('error', err);
+            if (controller.signal.aborted) {
+                console.log('Updater: download stopped');
+                this._setState(STATE_PAUSED);
+                throw abortError();
+            }
+            console.log('Error downloading update:', err);
+            this._setState(STATE_ERROR, err);
+            throw err;
+        } finally {
+            if (this._abortController === controller) {
+                this._abortController = null;
+            }
         }
     }
 
     /**
-     * Checks for updates periodically.
-     * By default, every 10 hours.
+     * Downloads the file into tmpfile from the first of the given
+     * addresses that works, moving on to the next one after errors.
      *
-     * @param {number?} [interval] check interval in milliseconds
+     * Partially downloaded file is resumed from the next address,
+     * unless it failed verification, in which case it's deleted.
+     *
+     * Returns a promise resolving to the address the download
+     * finished from, or rejecting with the last error.
+     *
+     * @param {Array<string>} addresses file URLs
+     * @param {string} tmpfile destination path
+     * @param {number} size expected file size
+     * @param {string} hash expected hex-encoded SHA-512 hash
+     * @returns {Promise<string>}
      */
-    checkPeriodically(interval) {
-        if (this._intervalId) {
-            this.stopCheckingPeriodically();
+    async _fetchFromMirrors(addresses, tmpfile, size, hash) {
+        const onProgress = this._createProgressReporter(size);
+        let lastError = null;
+        for (const address of addresses) {
+            console.log('Fetching file', address);
+            try {
+                // Size and hash are verified while downloading.
+                await fetchFile(address, tmpfile, Object.assign(this._fetchOptions(), {
+                    resume: true,
+                    size,
+                    sha512: hash,
+                    onProgress,
+                    maxRate: () => this._getDownloadRate()
+                }));
+                return address;
+            } catch (err) {
+                if (isAbortError(err)) {
+                    // Keep partially downloaded file to resume it later.
+                    throw err;
+                }
+                console.log(`Failed to download from ${address}:`, err);
+                if (err.code === 'verification-failed') {
+                    // Downloaded file is corrupted, so it can't be resumed.
+                    await deleteFile(tmpfile).catch(() => { /* ignore */ });
+                }
+                lastError = err;
+            }
         }
-        if (interval == null) interval = DEFAULT_INTERVAL;
-        if (interval < MIN_INTERVAL) interval = MIN_INTERVAL;
-        this._intervalId = setInterval(() => { this.checkForUpdates(); }, interval);
+        throw lastError;
     }
 
-    stopCheckingPeriodically() {
-        if (this._intervalId) {
-            clearInterval(this._intervalId);
+    /**
+     * Returns a promise resolving to the given file URLs in the
+     * order they should be tried according to the mirror order option.
+     *
+     * When ordering by latency, mirrors that failed
+     * to respond are moved to the end.
+     *
+     * @param {Array<string>} addresses file URLs in manifest order
+     * @returns {Promise<Array<string>>}
+     */
+    async _orderMirrors(addresses) {
+        if (this.mirrorOrder !== MIRROR_ORDER_LATENCY || addresses.length < 2) {
+            return addresses;
         }
+        const latencies = await Promise.all(addresses.map(address =>
+            measureLatency(address, this._fetchOptions()).catch(() => Infinity)
+        ));
+        return addresses
+            .map((address, i) => ({ address, latency: latencies[i] }))
+            .sort((a, b) => (a.latency - b.latency) || 0)
+            .map(mirror => mirror.address);
     }
 
     /**
-     * Checks for new update.
-     *
-     * Returns a promise resolving to manifest if the new version is found,
-     * to null if it's not found; throws if there was an error.
+     * Tries to build the update by downloading a patch from the
+     * current version and applying it to the current version's
+     * file (see _getCurrentArtifact).
      *
-     * Also sets this.newVersion to the new update if it was found.
+     * Returns a promise resolving to the path of the verified
+     * update file, or to null if there's no patch or anything
+     * went wrong, in which case the full file must be downloaded.
      *
-     * @param {number?} manifestURLIndex - optional manifest URL index to check
-     * @returns {Promise<Manifest|null>}
+     * @param {string?} platform
+     * @param {number} size expected update file size
+     * @param {string} hash expected update file hex-encoded SHA-512 hash
+     * @returns {Promise<string|null>}
      */
-   async _check(manifestURLIndex = 0) {
-        this.lastCheckTime = new Date();
-        this.checking = true;
-
-        try {
-            const manifest = await this._fetchManifest(this.manifestURLs[manifestURLIndex]);
-            this.checking = false;
-            if (manifest && manifest.isNewerVersionThan(this.currentVersion)) {
-                console.log(`Updater: new version ${manifest.version}`);
-                this.newVersion = manifest;
-                return manifest;
-            }
+    async _downloadPatched(platform, size, hash) {
+        const patch = this.newVersion.getPatch(platform, this.currentVersion);
+        if (!patch) {
+            return null;
+        }
+        const artifact = await this._getCurrentArtifact();
+        if (!artifact) {
+            console.log('No file of the current version to apply patch to');
             return null;
+        }
+        const random = crypto.randomBytes(10).toString('hex');
+        const patchfile = path.join(this._directory, `peerio-patch-${random}.tmp`);
+        const tmpfile = path.join(this._directory, `peerio-update-${random}.tmp`);
+        try {
+            console.log('Fetching patch', patch.file);
+            await fetchFile(patch.file, patchfile, Object.assign(this._fetchOptions(), {
+                size: patch.size,
+                sha512: patch.sha512,
+                onProgress: this._createProgressReporter(patch.size),
+                maxRate: () => this._getDownloadRate()
+            }));
+            console.log('Applying patch to', artifact);
+            await applyPatch(artifact, patchfile, tmpfile);
+            await verifySize(size, tmpfile);
+            await verifyHash(hash, tmpfile);
+            this.downloadedFrom = patch.file;
+            return tmpfile;
         } catch (err) {
-            if (manifestURLIndex < this.manifestURLs.length - 1) {
-                return await this._check(manifestURLIndex + 1); // try next URL
-            } else {
-                this.checking = false;
-                console.log('Error checking for update: ', err);
-                throw new Error(`Error checking for update: ${err}`);
+            await deleteFile(tmpfile).catch(() => { /* ignore */ });
+            if (isAbortError(err)) {
+                throw err;
             }
+            console.log('Failed to update with patch, falling back to full download:', err);
+            return null;
+        } finally {
+            await deleteFile(patchfile).catch(() => { /* ignore */ });
         }
     }
 
-    _fetchManifest(address) {
-        if (address.startsWith('github:')) {
-            return this._fetchManifestFromGitHub(address);
-        } else {
-            console.log('Fetching', address);
-            return fetchText(address).then(text => {
-                console.log('Loading manifest');
-                return Manifest.loadFromString(this.publicKeys, text)
-            });
-        }
+    _getArtifactInfoFilePath() {
+        return path.join(this._directory, ARTIFACT_INFO_FILENAME);
     }
 
-    _fetchManifestFromGitHub(address) {
-        // Address given: github:PeerioTechnologies/peerio-desktop
-        // Strip 'github:'
-        address = address.substring('github:'.length);
-        address = `https://api.github.com/repos/${address}/releases`;
+    /**
+     * Returns a promise resolving to the path of the file
+     * from which the current version was installed, or null
+     * if it's not available.
+     *
+     * The file is kept after successful update by cleanup().
+     * On Linux, the running AppImage is used if there's no such file.
+     *
+     * @returns {Promise<string|null>}
+     */
+    async _getCurrentArtifact() {
+        try {
+            const info = await readJSONFile(this._getArtifactInfoFilePath());
+            if (info.version === this.currentVersion && info.file.startsWith(this._directory) &&
+                await calculateSizeOrZero(info.file) > 0) {
+                return info.file;
+            }
+        } catch (err) {
+            // No artifact info.
+        }
+        if (process.platform === 'linux' && process.env.APPIMAGE) {
+            return process.env.APPIMAGE;
+        }
+        return null;
+    }
 
-        // Fetch info about latest release
-        let promisedRelease;
-        if (!this.allowPrerelease) {
-            // No prereleases, so use a simple API endpoint which returns latest release.
-            console.log(`Fetching ${address}/latest`);
-            promisedRelease = fetchJSON(address + '/latest');
-        } else {
-            // Prereleases require fetching all releases and finding the latest.
-            console.log(`Fetching ${address}`);
-            promisedRelease = fetchAllJSONPages(address)
-                .then(releases => releases.reduce((newest, cur) => {
-                    if (!newest || semver.gt(cur.tag_name, newest.tag_name)) {
-                        return cur;
-                    } else {
-                        return newest;
-                    }
-                }, null));
+    /**
+     * Remembers the given update file as the file of the current
+     * version, deleting the previously remembered one.
+     *
+     * @param {string} file path to the installed update file
+     */
+    async _keepArtifact(file) {
+        try {
+            const info = await readJSONFile(this._getArtifactInfoFilePath());
+            if (info.file !== file && info.file.startsWith(this._directory)) {
+                await deleteFile(info.file).catch(() => { /* ignore */ });
+            }
+        } catch (err) {
+            // No previous artifact.
         }
+        await writeJSONFile(this._getArtifactInfoFilePath(), {
+            version: this.currentVersion,
+            file
+        });
+    }
 
-        return promisedRelease.then(release => {
-            if (!release) {
-                console.log('No releases on GitHub');
+    /**
+     * Returns a download progress callback for fetchFile,
+     * which emits 'download-progress' events at most every
+     * PROGRESS_INTERVAL milliseconds (and always on completion).
+     *
+     * Event argument:
+     *
+     * {
+     *   transferred: number, // bytes downloaded so far
+     *   total: number, // total number of bytes
+     *   bytesPerSecond: number, // average download speed
+     *   percent: number // 0 to 100
+     * }
+     *
+     * @param {number} size expected file size from manifest
+     * @returns {function(number, number=): void}
+     */
+    _createProgressReporter(size) {
+        const startTime = Date.now();
+        let startBytes = -1;
+        let lastEmitTime = 0;
+        return (transferred, total) => {
+            // Resumed downloads start with some bytes
+            // already on disk, don't count them for speed.
+            if (startBytes < 0) startBytes = transferred;
+            total = size || total || 0;
+            const now = Date.now();
+            const done = total > 0 && transferred >= total;
+            if (!done && now - lastEmitTime < PROGRESS_INTERVAL) {
                 return;
             }
-            console.log('Got release', release);
-            // GitHub can lie to us about the latest version, but if they do, they
-            // could also not serve the latest manifest, so there's no harm in
-            // checking this unsigned version number.
-            if (semver.gt(release.tag_name, this.currentVersion)) {
-                // Find manifest.
-                for (let i = 0; i < release.assets.length; i++) {
-                    if (release.assets[i].name === MANIFEST_FILENAME) {
-                        return this._fetchManifest(release.assets[i].browser_download_url);
-                    }
-                }
-                throw new Error(`Release ${release.tag_name} doesn't have ${MANIFEST_FILENAME}`);
-            } else {
-                console.log(`No new version on GitHub: have ${this.currentVersion} got ${release.tag_name} `)
-            }
-        });
+            lastEmitTime = now;
+            const elapsed = (now - startTime) / 1000;
+            this.progress = {
+                transferred,
+                total,
+                bytesPerSecond: elapsed > 0 ? Math.round((transferred - startBytes) / elapsed) : 0,
+                percent: total > 0 ? Math.min(100, transferred / total * 100) : 0
+            };
+            this.emit('download-progress', this.progress);
+        };
     }
 
+    _getDownloadInfoFilePath() {
+        return path.join(this._directory, DOWNLOAD_INFO_FILENAME);
+    }
 
-    async _download(platform) {
-        if (this.downloading) {
-            throw new Error('Download is already in progress')
-        }
-        if (!this.newVersion) {
-            throw new Error('No new version to download');
+    /**
+     * Returns a promise resolving to the path of the file
+     * to download update with the given size and hash into.
+     *
+     * If there's a partially downloaded file for this update,
+     * returns its path, otherwise removes the leftover file
+     * from the previous download and remembers a new one.
+     *
+     * @param {number} size expected file size
+     * @param {string} hash expected hex-encoded SHA-512 hash
+     * @returns {Promise<string>}
+     */
+    async _prepareDownloadFile(size, hash) {
+        let info = null;
+        try {
+            info = await readJSONFile(this._getDownloadInfoFilePath());
+        } catch (err) {
+            // No download info, start from scratch.
         }
-        const address = this.newVersion.getFile(platform);
-        const size = this.newVersion.getSize(platform);
-        const hash = this.newVersion.getSha512(platform);
-        if (address == null || size == null || hash == null) {
-            throw new Error('No file in manifest for the current platform');
+        if (info && info.file && info.file.startsWith(this._directory)) {
+            if (info.size === size && info.sha512 === hash) {
+                if (await calculateSizeOrZero(info.file) <= size) {
+                    return info.file;
+                }
+                console.log('Partially downloaded file is too big');
+            }
+            await deleteFile(info.file).catch(() => { /* ignore */ });
         }
         const tmpfile = path.join(
             this._directory,
             `peerio-update-${crypto.randomBytes(10).toString('hex')}.tmp`
         );
-        this.downloading = true;
-        console.log('Fetching file', address);
+        await writeJSONFile(this._getDownloadInfoFilePath(), {
+            file: tmpfile,
+            size,
+            sha512: hash
+        });
+        return tmpfile;
+    }
 
-        try {
-            await this._createDownloadsDirectory();
-            await fetchFile(address, tmpfile);
-            await verifySize(size, tmpfile);
-            await verifyHash(hash, tmpfile);
-            this.downloading = false;
-            this.downloadedFile = tmpfile;
-            return tmpfile;
-        } catch (err) {
-            this.downloading = false;
-            console.log('Error downloading update:', err);
-            throw err;
-        }
+    /**
+     * Deletes partially downloaded file and download info.
+     * Ignores errors, as this is best-effort.
+     *
+     * @param {string} tmpfile path to downloaded file
+     */
+    async _discardDownloadFile(tmpfile) {
+        await deleteFile(tmpfile).catch(() => { /* ignore */ });
+        await deleteFile(this._getDownloadInfoFilePath()).catch(() => { /* ignore */ });
     }
 
     _setupExitHook() {
@@ -303,7 +1581,9 @@ class Updater extends EventEmitter {
             app.once('before-quit', ev => {
                 console.log('Called before-quit hook');
                 ev.preventDefault();
-                this._install();
+                // The hook is called once, so quitting
+                // again doesn't get here.
+                this._install(() => app.quit());
             });
         } else {
             process.on('exit', () => {
@@ -328,6 +1608,19 @@ class Updater extends EventEmitter {
         });
     }
 
+    _createStateDirectory() {
+        return new Promise((fulfill, reject) => {
+            // Only the current user can access the state.
+            mkdirp(this._stateDirectory, 0o700, err => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                fulfill(this._stateDirectory);
+            });
+        });
+    }
+
     _getUpdateInfoFilePath() {
         return path.join(this._directory, UPDATE_INFO_FILENAME);
     }
@@ -411,6 +1704,9 @@ class Updater extends EventEmitter {
      * Remove update artifacts.
      * Should be used after starting a new version.
      *
+     * If the update succeeded, the update file is kept
+     * for applying patches from this version (see _downloadPatched).
+     *
      * Will ignore any filesystem errors, as this is best-effort.
      */
     async cleanup() {
@@ -428,9 +1724,18 @@ class Updater extends EventEmitter {
             // Make sure the file is inside our downloads
             // directory, for safety.
             if (info.updateFile.startsWith(this._directory)) {
-                console.log('Deleting update file:', info.updateFile);
-                await deleteFile(info.updateFile);
+                if (info.updateVersion === this.currentVersion &&
+                    await calculateSizeOrZero(info.updateFile) > 0) {
+                    // Update succeeded, keep the file to apply the next patch to.
+                    console.log('Keeping update file:', info.updateFile);
+                    await this._keepArtifact(info.updateFile);
+                } else {
+                    console.log('Deleting update file:', info.updateFile);
+                    await deleteFile(info.updateFile);
+                }
             }
+            // Delete download info.
+            await deleteFile(this._getDownloadInfoFilePath()).catch(() => { /* ignore */ });
             // Delete update info.
             console.log('Deleting update info:', this._getUpdateInfoFilePath());
             await deleteFile(this._getUpdateInfoFilePath());
@@ -439,9 +1744,25 @@ class Updater extends EventEmitter {
         }
     }
 
-    _install() {
+    /**
+     * Installs the downloaded update.
+     *
+     * If there's no update to install, the updater can't move to
+     * installing state (e.g. after a failed check), or installation
+     * fails, calls the given fallback, which is used by the exit hook
+     * to continue quitting the app instead of leaving it running.
+     *
+     * @param {function(): void} [fallback]
+     */
+    _install(fallback = () => { /* nothing to do */ }) {
         if (!this.downloadedFile) {
             console.warn('No update to install');
+            fallback();
+            return;
+        }
+        if (!this._canSetState(STATE_INSTALLING)) {
+            console.warn(`Updater: not installing update while ${this.state}`);
+            fallback();
             return;
         }
         console.log('Updater is installing update');
@@ -461,9 +1782,16 @@ class Updater extends EventEmitter {
                 install = require('./install-linux');
                 break;
             default:
-                throw new Error('Unknown platform ' + currentPlatform());
+                console.error('Unknown platform ' + currentPlatform());
+                fallback();
+                return;
         }
-        install(this.downloadedFile, !!this.restart);
+        this._setState(STATE_INSTALLING);
+        install(this.downloadedFile, !!this.restart).catch(err => {
+            console.error('Failed to install update:', err);
+            this._setState(STATE_ERROR, err);
+            fallback();
+        });
     }
 
     /**
@@ -510,6 +1838,9 @@ class Updater extends EventEmitter {
         try {
             const info = await this._getValidUpdateInfoOnDisk();
             this.downloadedFile = info.updateFile;
+            if (this.state !== STATE_DOWNLOADED) {
+                this._setState(STATE_DOWNLOADED);
+            }
             info.attempts++;
             await new Promise((fulfill, reject) => {
                 fs.writeFile(this._getUpdateInfoFilePath(), JSON.stringify(info), err => {
@@ -570,6 +1901,78 @@ class Updater extends EventEmitter {
     }
 }
 
+/**
+ * Returns the given delay randomly changed by up to CHECK_JITTER.
+ *
+ * @param {number} delay delay in milliseconds
+ * @returns {number}
+ */
+function randomizeDelay(delay) {
+    return Math.round(delay * (1 + CHECK_JITTER * (Math.random() * 2 - 1)));
+}
+
+/**
+ * Throws if the given download rate is not a non-negative number.
+ *
+ * @param {number} rate bytes per second
+ */
+function validateRate(rate) {
+    if (typeof rate !== 'number' || !(rate >= 0)) {
+        throw new Error(`Invalid download rate: ${rate}`);
+    }
+}
+
+/**
+ * Returns the default state directory in Electron app's
+ * userData, or null if not running in Electron.
+ *
+ * @returns {string|null}
+ */
+function getDefaultStateDirectory() {
+    if (!process.versions || !process.versions.electron) {
+        return null;
+    }
+    const { app } = require('electron');
+    return app ? path.join(app.getPath('userData'), STATE_DIRECTORY_NAME) : null;
+}
+
+/**
+ * Returns a promise resolving to the URL of manifest at the given
+ * address: for file URLs of directories, it's the URL of
+ * MANIFEST_FILENAME in the directory, otherwise the address itself.
+ *
+ * @param {string} address manifest URL
+ * @returns {Promise<string>}
+ */
+function getManifestLocation(address) {
+    if (!address.startsWith('file://')) {
+        return Promise.resolve(address);
+    }
+    return new Promise((fulfill, reject) => {
+        fs.stat(fileURLToPath(address), (err, stats) => {
+            if (!err && stats.isDirectory()) {
+                fulfill(address.replace(/\/*$/, '/') + MANIFEST_FILENAME);
+                return;
+            }
+            fulfill(address);
+        });
+    });
+}
+
+/**
+ * Returns true if manifests have the same data
+ * regardless of the order of fields.
+ *
+ * @param {Manifest} a
+ * @param {Manifest} b
+ * @returns {boolean}
+ */
+function isSameManifestData(a, b) {
+    const keys = Object.keys(a.data).sort();
+    return keys.join('\n') === Object.keys(b.data).sort().join('\n') &&
+        keys.every(key => String(a.data[key]) === String(b.data[key]));
+}
+
 function deleteFile(filename) {
     return new Promise((fulfill, reject) => {
         fs.unlink(filename, err => {
@@ -582,4 +1985,41 @@ function deleteFile(filename) {
     });
 }
 
+function readJSONFile(filename) {
+    return new Promise((fulfill, reject) => {
+        fs.readFile(filename, (err, data) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            try {
+                fulfill(JSON.parse(data.toString('utf-8')));
+            } catch (ex) {
+                reject(ex);
+            }
+        });
+    });
+}
+
+function writeJSONFile(filename, data) {
+    return new Promise((fulfill, reject) => {
+        fs.writeFile(filename, JSON.stringify(data), err => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            fulfill();
+        });
+    });
+}
+
+Updater.STATE_IDLE = STATE_IDLE;
+Updater.STATE_CHECKING = STATE_CHECKING;
+Updater.STATE_AVAILABLE = STATE_AVAILABLE;
+Updater.STATE_DOWNLOADING = STATE_DOWNLOADING;
+Updater.STATE_PAUSED = STATE_PAUSED;
+Updater.STATE_DOWNLOADED = STATE_DOWNLOADED;
+Updater.STATE_INSTALLING = STATE_INSTALLING;
+Updater.STATE_ERROR = STATE_ERROR;
+
 module.exports = Updater;